@@ -7,11 +7,20 @@ const os = require('os');
 // Server management
 let serverProcess = null;
 let inProcessServer = null; // Track in-process server instance
+let inProcessRedirectServer = null; // HTTP -> HTTPS redirect, when enabled
 let mainWindow = null;
 let serverSettings = {
     port: 7522,
     logLevel: 'info',
     logToFile: false,
+    goLockoutMs: 500,
+    viewerPin: '',
+    operatorPin: '',
+    adminPin: '',
+    https: false,
+    httpsCertFile: '',
+    httpsKeyFile: '',
+    httpRedirectPort: 0,
     autoStart: false,
     openBrowserOnStart: false
 };
@@ -167,7 +176,16 @@ function startServer() {
             ...process.env,
             WEB_PORT: serverSettings.port.toString(),
             LOG_LEVEL: serverSettings.logLevel,
-            LOG_TO_FILE: serverSettings.logToFile.toString()
+            LOG_TO_FILE: serverSettings.logToFile.toString(),
+            GO_LOCKOUT_MS: String(serverSettings.goLockoutMs),
+            VIEWER_PIN: serverSettings.viewerPin || '',
+            OPERATOR_PIN: serverSettings.operatorPin || '',
+            ADMIN_PIN: serverSettings.adminPin || '',
+            HTTPS_ENABLED: String(serverSettings.https === true),
+            HTTPS_CERT_FILE: serverSettings.httpsCertFile || '',
+            HTTPS_KEY_FILE: serverSettings.httpsKeyFile || '',
+            HTTP_REDIRECT_PORT: String(serverSettings.httpRedirectPort || 0),
+            QONCOMMAND_DATA_DIR: app.getPath('userData')
         };
 
         // Find the actual Node.js executable (not Electron)
@@ -223,7 +241,7 @@ function startServer() {
         // Open browser if setting is enabled
         if (serverSettings.openBrowserOnStart) {
             setTimeout(() => {
-                const url = `http://localhost:${serverSettings.port}`;
+                const url = getWebInterfaceUrl();
                 shell.openExternal(url);
             }, 2000); // Wait 2 seconds for server to fully start
         }
@@ -276,6 +294,15 @@ function startServerInProcess() {
         process.env.WEB_PORT = serverSettings.port.toString();
         process.env.LOG_LEVEL = serverSettings.logLevel;
         process.env.LOG_TO_FILE = serverSettings.logToFile.toString();
+        process.env.GO_LOCKOUT_MS = String(serverSettings.goLockoutMs);
+        process.env.VIEWER_PIN = serverSettings.viewerPin || '';
+        process.env.OPERATOR_PIN = serverSettings.operatorPin || '';
+        process.env.ADMIN_PIN = serverSettings.adminPin || '';
+        process.env.HTTPS_ENABLED = String(serverSettings.https === true);
+        process.env.HTTPS_CERT_FILE = serverSettings.httpsCertFile || '';
+        process.env.HTTPS_KEY_FILE = serverSettings.httpsKeyFile || '';
+        process.env.HTTP_REDIRECT_PORT = String(serverSettings.httpRedirectPort || 0);
+        process.env.QONCOMMAND_DATA_DIR = app.getPath('userData');
         
         // Delete from require cache to ensure fresh load
         const resolvedPath = require.resolve(serverPath);
@@ -334,6 +361,7 @@ function startServerInProcess() {
             try {
                 serverModule.startServer();
                 inProcessServer = serverModule.server;
+                inProcessRedirectServer = serverModule.redirectServer;
                 clearTimeout(startupTimeout);
                 console.log('Server started successfully in-process');
             } catch (startupError) {
@@ -356,7 +384,7 @@ function startServerInProcess() {
         // Open browser if setting is enabled
         if (serverSettings.openBrowserOnStart) {
             setTimeout(() => {
-                const url = `http://localhost:${serverSettings.port}`;
+                const url = getWebInterfaceUrl();
                 shell.openExternal(url);
             }, 2000); // Wait 2 seconds for server to fully start
         }
@@ -386,8 +414,12 @@ function stopServer() {
                     level: 'info' 
                 });
             });
+            if (inProcessRedirectServer) {
+                inProcessRedirectServer.close();
+            }
             serverProcess = null;
             inProcessServer = null;
+            inProcessRedirectServer = null;
             sendToRenderer('server-status', { running: false });
             return { success: true };
         } else if (serverProcess && !serverProcess.inProcess) {
@@ -406,11 +438,15 @@ function stopServer() {
     }
 }
 
+function getWebInterfaceUrl() {
+    return `${serverSettings.https ? 'https' : 'http'}://localhost:${serverSettings.port}`;
+}
+
 function getServerStatus() {
     return {
         running: serverProcess !== null,
         port: serverSettings.port,
-        url: `http://localhost:${serverSettings.port}`,
+        url: getWebInterfaceUrl(),
         inProcess: serverProcess && serverProcess.inProcess
     };
 }
@@ -449,6 +485,14 @@ ipcMain.handle('reset-settings', async () => {
         port: 7522,
         logLevel: 'info',
         logToFile: false,
+        goLockoutMs: 500,
+        viewerPin: '',
+        operatorPin: '',
+        adminPin: '',
+        https: false,
+        httpsCertFile: '',
+        httpsKeyFile: '',
+        httpRedirectPort: 0,
         autoStart: false,
         openBrowserOnStart: false
     };
@@ -473,7 +517,7 @@ ipcMain.handle('get-server-status', () => {
 });
 
 ipcMain.handle('open-web-interface', () => {
-    const url = `http://localhost:${serverSettings.port}`;
+    const url = getWebInterfaceUrl();
     shell.openExternal(url);
     return { success: true, url };
 });
@@ -0,0 +1,684 @@
+/**
+ * QOnCommand - QLab simulator
+ * Local OSC/TCP server that answers like QLab, for offline demos and testing without a Mac
+ */
+
+const net = require('net');
+const fs = require('fs');
+const osc = require('osc');
+
+const DEFAULT_SIMULATOR_VERSION = '4.6.9';
+const DEFAULT_SIMULATOR_WORKSPACE_ID = 'SIM-WORKSPACE-0001';
+
+// Fallback show used when no cue file is given or it can't be read
+const DEFAULT_SIMULATOR_SHOW = {
+    version: DEFAULT_SIMULATOR_VERSION,
+    workspace: {
+        displayName: 'Simulator Show',
+        uniqueID: DEFAULT_SIMULATOR_WORKSPACE_ID,
+        passcode: null
+    },
+    cueLists: [{
+        uniqueID: 'SIM-LIST-MAIN',
+        name: 'Main Cue List',
+        cues: [
+            { uniqueID: 'SIM-CUE-001', number: '1', name: 'Preshow music', type: 'Audio', duration: 180 },
+            { uniqueID: 'SIM-CUE-002', number: '2', name: 'Fade out preshow', type: 'Fade', duration: 5 },
+            { uniqueID: 'SIM-CUE-003', number: '3', name: 'Welcome announcement', type: 'Audio', duration: 25 }
+        ]
+    }]
+};
+
+// Cue types that carry an audio levels matrix
+const SIMULATOR_LEVEL_CUE_TYPES = ['Audio', 'Mic', 'Video', 'Fade'];
+
+// Cue properties that can be set with /cue_id/{id}/{property} {value}
+const SIMULATOR_STRING_PROPERTIES = ['name', 'number', 'notes', 'colorName'];
+const SIMULATOR_NUMBER_PROPERTIES = ['preWait', 'postWait', 'duration', 'continueMode'];
+
+class QLabSimulator {
+    constructor({ port = 53000, host = '127.0.0.1', cuesFile = null, logger = console } = {}) {
+        this.port = port;
+        this.host = host;
+        this.cuesFile = cuesFile;
+        this.logger = logger;
+        this.server = null;
+        this.clients = new Set(); // Connected osc.TCPSocketPort instances
+        this.updateSubscribers = new Set(); // Ports that sent /updates 1
+        this.runningCues = new Map(); // cueId -> { cue, startedAt, pausedAt, timer }
+
+        this.loadShow();
+    }
+
+    // Read the fake show from JSON, falling back to the built-in show
+    loadShow() {
+        let show = DEFAULT_SIMULATOR_SHOW;
+        if (this.cuesFile) {
+            try {
+                show = JSON.parse(fs.readFileSync(this.cuesFile, 'utf8'));
+            } catch (error) {
+                this.logger.warn(`Simulator: could not load cue file ${this.cuesFile} (${error.message}), using built-in show`);
+            }
+        }
+
+        this.version = String(show.version || DEFAULT_SIMULATOR_VERSION);
+        const workspace = show.workspace || {};
+        this.workspace = {
+            displayName: workspace.displayName || 'Simulator Show',
+            uniqueID: workspace.uniqueID || DEFAULT_SIMULATOR_WORKSPACE_ID,
+            passcode: workspace.passcode ? String(workspace.passcode) : null
+        };
+
+        this.cuesById = new Map();
+        this.cueLists = (show.cueLists || []).map((list, index) => this.buildCue(
+            Object.assign({ type: 'Cue List', uniqueID: `SIM-LIST-${index + 1}` }, list),
+            null
+        ));
+
+        // Playhead starts on the first cue of the first list
+        const firstList = this.cueLists[0];
+        this.playheadListId = firstList ? firstList.uniqueID : null;
+        this.playheadCueId = firstList && firstList.cues.length > 0 ? firstList.cues[0].uniqueID : null;
+
+        this.logger.info(`Simulator: loaded ${this.cuesById.size} cue(s) in ${this.cueLists.length} list(s) for "${this.workspace.displayName}"`);
+    }
+
+    // Normalise one cue from the show file and index it (and its children) by uniqueID
+    buildCue(source, parentId) {
+        const cue = {
+            uniqueID: source.uniqueID || `SIM-CUE-${this.cuesById.size + 1}`,
+            number: source.number !== undefined ? String(source.number) : '',
+            name: source.name || '',
+            type: source.type || 'Memo',
+            colorName: source.colorName || 'none',
+            flagged: Boolean(source.flagged),
+            armed: source.armed !== false,
+            broken: Boolean(source.broken),
+            notes: source.notes || '',
+            preWait: Number(source.preWait) || 0,
+            duration: Number(source.duration) || 0,
+            postWait: Number(source.postWait) || 0,
+            continueMode: Number(source.continueMode) || 0,
+            parent: parentId
+        };
+
+        if (cue.type === 'Group') {
+            // 1 = list, 2 = start first and go to next, 3 = timeline, 4 = random
+            cue.mode = source.mode !== undefined ? Number(source.mode) : 1;
+            cue.collapsed = Boolean(source.collapsed);
+        }
+
+        if (SIMULATOR_LEVEL_CUE_TYPES.includes(cue.type)) {
+            // Row 0 is master + outputs, further rows are input crosspoints
+            cue.levels = Array.isArray(source.levels)
+                ? source.levels.map(row => row.slice())
+                : this.buildLevels(Number(source.inputs) || 2, Number(source.outputs) || 2);
+        }
+
+        this.cuesById.set(cue.uniqueID, cue);
+
+        if (Array.isArray(source.cues)) {
+            cue.cues = source.cues.map(child => this.buildCue(child, cue.uniqueID));
+        }
+
+        return cue;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(socket => this.handleSocket(socket));
+
+            this.server.once('error', (error) => {
+                this.logger.error(`Simulator: failed to listen on ${this.host}:${this.port} - ${error.message}`);
+                reject(error);
+            });
+
+            this.server.listen(this.port, this.host, () => {
+                this.logger.info(`🎭 QLab simulator listening on ${this.host}:${this.port} (reports QLab ${this.version})`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        for (const entry of this.runningCues.values()) {
+            clearTimeout(entry.timer);
+        }
+        this.runningCues.clear();
+
+        for (const port of this.clients) {
+            try {
+                port.close();
+            } catch (error) {
+                // Socket already gone
+            }
+        }
+        this.clients.clear();
+        this.updateSubscribers.clear();
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    handleSocket(socket) {
+        const port = new osc.TCPSocketPort({ socket, metadata: true });
+        this.clients.add(port);
+        this.logger.debug(`Simulator: client connected from ${socket.remoteAddress}`);
+
+        port.on('message', (message) => {
+            try {
+                this.handleMessage(port, message);
+            } catch (error) {
+                this.logger.warn(`Simulator: error handling ${message.address}: ${error.message}`);
+            }
+        });
+
+        port.on('error', (error) => {
+            this.logger.debug(`Simulator: socket error - ${error.message}`);
+        });
+
+        port.on('close', () => {
+            this.clients.delete(port);
+            this.updateSubscribers.delete(port);
+        });
+    }
+
+    send(port, address, args = []) {
+        port.send({
+            address,
+            args: args.map(arg => ({
+                type: typeof arg === 'number' ? (Number.isInteger(arg) ? 'i' : 'f') : 's',
+                value: arg
+            }))
+        });
+    }
+
+    reply(port, address, data, status = 'ok') {
+        const payload = { address, status, data };
+        if (address.startsWith('/workspace/')) {
+            payload.workspace_id = this.workspace.uniqueID;
+        }
+        this.send(port, `/reply${address}`, [JSON.stringify(payload)]);
+    }
+
+    handleMessage(port, message) {
+        const address = message.address;
+        const args = (message.args || []).map(arg => arg.value);
+
+        // Split "/workspace/{id}/..." into the workspace and the command path
+        let command = address;
+        const workspaceMatch = address.match(/^\/workspace\/([^/]+)(\/.*)?$/);
+        if (workspaceMatch) {
+            if (workspaceMatch[1] !== this.workspace.uniqueID) {
+                this.reply(port, address, null, 'error');
+                return;
+            }
+            command = workspaceMatch[2] || '';
+        }
+
+        switch (command) {
+            case '/version':
+                this.reply(port, address, this.version);
+                return;
+            case '/thump':
+                this.reply(port, address, 'thump');
+                return;
+            case '/workspaces':
+                this.reply(port, address, [{
+                    displayName: this.workspace.displayName,
+                    uniqueID: this.workspace.uniqueID,
+                    hasPasscode: Boolean(this.workspace.passcode),
+                    version: this.version
+                }]);
+                return;
+            case '/connect':
+                this.handleConnect(port, address, args);
+                return;
+            case '/updates':
+                if (Number(args[0]) === 0) {
+                    this.updateSubscribers.delete(port);
+                } else {
+                    this.updateSubscribers.add(port);
+                }
+                return;
+            case '/disconnect':
+                this.updateSubscribers.delete(port);
+                return;
+            case '/cueLists':
+                this.reply(port, address, this.cueLists.map(list => this.describeCue(list, true)));
+                return;
+            case '/runningCues':
+                this.reply(port, address, Array.from(this.runningCues.values())
+                    .filter(entry => !entry.pausedAt)
+                    .map(entry => this.describeCue(entry.cue, false)));
+                return;
+            case '/runningOrPausedCues':
+                this.reply(port, address, Array.from(this.runningCues.values()).map(entry => this.describeCue(entry.cue, false)));
+                return;
+            case '/go':
+                this.go();
+                return;
+            case '/stop':
+            case '/panic':
+            case '/hardStop':
+                this.stopAll();
+                return;
+            case '/pause':
+                Array.from(this.runningCues.keys()).forEach(cueId => this.pauseCue(cueId));
+                return;
+            case '/resume':
+                Array.from(this.runningCues.keys()).forEach(cueId => this.resumeCue(cueId));
+                return;
+            case '/reset':
+                this.stopAll();
+                this.resetPlayhead();
+                return;
+            case '/select/next':
+            case '/playhead/next':
+                this.movePlayhead(1);
+                return;
+            case '/select/previous':
+            case '/playhead/previous':
+                this.movePlayhead(-1);
+                return;
+        }
+
+        // Playhead / selection by ID
+        const selectMatch = command.match(/^\/(?:select_id|playheadId)\/(.+)$/);
+        if (selectMatch) {
+            this.setPlayhead(selectMatch[1]);
+            return;
+        }
+
+        // Playhead / selection by number - unknown numbers get an error reply
+        const numberMatch = command.match(/^\/(?:select|playhead)\/(.+)$/);
+        if (numberMatch) {
+            const cue = Array.from(this.cuesById.values()).find(candidate => candidate.number === numberMatch[1]);
+            if (!cue) {
+                this.reply(port, address, null, 'error');
+                return;
+            }
+            this.setPlayhead(cue.uniqueID);
+            this.reply(port, address);
+            return;
+        }
+
+        // Cue-scoped commands: /cue/selected|playhead/..., /cue/{number}/..., /cue_id/{id}/...
+        const cueMatch = command.match(/^\/(cue|cue_id)\/([^/]+)(\/.*)?$/);
+        if (cueMatch) {
+            this.handleCueCommand(port, address, cueMatch[1], cueMatch[2], cueMatch[3] || '', args);
+            return;
+        }
+
+        this.logger.debug(`Simulator: ignoring unsupported address ${address}`);
+    }
+
+    handleConnect(port, address, args) {
+        if (this.workspace.passcode && String(args[0] || '') !== this.workspace.passcode) {
+            this.logger.info('Simulator: rejected workspace connect with wrong passcode');
+            this.reply(port, address, 'badpass');
+            return;
+        }
+
+        // QLab 5 reports the granted permissions with the reply
+        const major = parseInt(this.version.split('.')[0]);
+        this.reply(port, address, major >= 5 ? 'ok:view|edit|control' : 'ok');
+    }
+
+    handleCueCommand(port, address, scope, specifier, action, args) {
+        let cue = null;
+        if (scope === 'cue_id') {
+            cue = this.cuesById.get(specifier) || null;
+        } else if (specifier === 'selected' || specifier === 'playhead') {
+            cue = this.cuesById.get(this.playheadCueId) || null;
+        } else {
+            cue = Array.from(this.cuesById.values()).find(candidate => candidate.number === specifier) || null;
+        }
+
+        if (!cue) {
+            this.reply(port, address, null, 'error');
+            return;
+        }
+
+        if (action === '/valuesForKeys') {
+            let keys = [];
+            try {
+                keys = JSON.parse(args[0] || '[]');
+            } catch (error) {
+                this.reply(port, address, null, 'error');
+                return;
+            }
+            const values = {};
+            for (const key of keys) {
+                values[key] = this.cueValue(cue, key);
+            }
+            this.reply(port, address, values);
+            return;
+        }
+
+        if (action === '/level') {
+            this.handleCrosspointLevel(port, address, cue, args);
+            return;
+        }
+
+        const sliderMatch = action.match(/^\/sliderLevel\/(\d+)$/);
+        if (sliderMatch) {
+            this.handleSliderLevel(port, address, cue, parseInt(sliderMatch[1]), args);
+            return;
+        }
+
+        switch (action) {
+            case '/start':
+            case '/go':
+                this.startCue(cue);
+                return;
+            case '/preview':
+                this.logger.info(`Simulator: preview ${cue.number || ''} ${cue.name}`.replace(/\s+/g, ' '));
+                this.startCue(cue);
+                return;
+            case '/load':
+                this.logger.info(`Simulator: load ${cue.number || ''} ${cue.name}`.replace(/\s+/g, ' '));
+                return;
+            case '/stop':
+            case '/hardStop':
+                this.stopCue(cue.uniqueID);
+                return;
+            case '/pause':
+                this.pauseCue(cue.uniqueID);
+                return;
+            case '/resume':
+                this.resumeCue(cue.uniqueID);
+                return;
+            case '/togglePause': {
+                const entry = this.runningCues.get(cue.uniqueID);
+                if (entry && entry.pausedAt) {
+                    this.resumeCue(cue.uniqueID);
+                } else {
+                    this.pauseCue(cue.uniqueID);
+                }
+                return;
+            }
+            case '/children':
+                this.reply(port, address, (cue.cues || []).map(child => this.describeCue(child, false)));
+                return;
+            case '':
+            case '/uniqueID':
+                this.reply(port, address, cue.uniqueID);
+                return;
+        }
+
+        // Simple property getters, e.g. /cue_id/{id}/name
+        const key = action.substring(1);
+        if (!key.includes('/') && Object.prototype.hasOwnProperty.call(cue, key) && args.length === 0) {
+            this.reply(port, address, this.cueValue(cue, key));
+            return;
+        }
+
+        // Property setters, e.g. /cue_id/{id}/name "Thunder"
+        if (args.length > 0 && this.setCueProperty(cue, key, args[0])) {
+            return;
+        }
+
+        this.logger.debug(`Simulator: ignoring unsupported cue action ${address}`);
+    }
+
+    setCueProperty(cue, key, value) {
+        if (SIMULATOR_STRING_PROPERTIES.includes(key)) {
+            value = String(value);
+            // Like QLab, silently ignore a cue number that is already taken
+            if (key === 'number' && value !== '' && value !== cue.number &&
+                Array.from(this.cuesById.values()).some(candidate => candidate.number === value)) {
+                this.logger.debug(`Simulator: cue number ${value} already in use`);
+                return true;
+            }
+            cue[key] = value;
+        } else if (SIMULATOR_NUMBER_PROPERTIES.includes(key)) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return true;
+            cue[key] = key === 'continueMode' ? Math.round(number) : Math.max(0, number);
+        } else if (key === 'armed' || key === 'flagged') {
+            cue[key] = Boolean(Number(value));
+        } else {
+            return false;
+        }
+
+        this.logger.debug(`Simulator: cue ${cue.number || cue.uniqueID} ${key} = ${cue[key]}`);
+        this.sendCueUpdate(cue);
+        return true;
+    }
+
+    // Inputs patched straight through (input 1 -> output 1, ...), everything else silent
+    buildLevels(inputs, outputs) {
+        const levels = [new Array(outputs + 1).fill(0)];
+        for (let input = 1; input <= inputs; input++) {
+            const row = new Array(outputs + 1).fill(-60);
+            row[0] = 0;
+            if (input <= outputs) {
+                row[input] = 0;
+            }
+            levels.push(row);
+        }
+        return levels;
+    }
+
+    // /level {row} {column} [dB] - any cell of the matrix, row 0 being the output sliders
+    handleCrosspointLevel(port, address, cue, args) {
+        const row = parseInt(args[0]);
+        const column = parseInt(args[1]);
+        if (!cue.levels || !cue.levels[row] || cue.levels[row][column] === undefined) {
+            this.reply(port, address, null, 'error');
+            return;
+        }
+
+        if (args.length < 3) {
+            this.reply(port, address, cue.levels[row][column]);
+            return;
+        }
+
+        cue.levels[row][column] = Math.max(-60, Math.min(12, Number(args[2])));
+        this.logger.debug(`Simulator: cue ${cue.number || cue.uniqueID} level ${row}x${column} = ${cue.levels[row][column]}dB`);
+        this.sendCueUpdate(cue);
+    }
+
+    handleSliderLevel(port, address, cue, channel, args) {
+        if (!cue.levels) {
+            this.reply(port, address, null, 'error');
+            return;
+        }
+
+        if (args.length === 0) {
+            this.reply(port, address, cue.levels[0][channel] !== undefined ? cue.levels[0][channel] : -60);
+            return;
+        }
+
+        const level = Math.max(-60, Math.min(12, Number(args[0])));
+        while (cue.levels[0].length <= channel) {
+            cue.levels[0].push(-60);
+        }
+        cue.levels[0][channel] = level;
+        this.logger.debug(`Simulator: cue ${cue.number || cue.uniqueID} slider ${channel} = ${level}dB`);
+        this.sendCueUpdate(cue);
+    }
+
+    // Values for valuesForKeys, including the live playback state
+    cueValue(cue, key) {
+        const running = this.runningCues.get(cue.uniqueID);
+        switch (key) {
+            case 'listName':
+            case 'displayName':
+                return cue.name || (cue.number ? `Cue ${cue.number}` : cue.type);
+            case 'isRunning':
+                return Boolean(running);
+            case 'isPaused':
+                return Boolean(running && running.pausedAt);
+            case 'isLoaded':
+                return cue.uniqueID === this.playheadCueId;
+            case 'isBroken':
+                return cue.broken;
+            case 'actionElapsed':
+                return running ? this.elapsedSeconds(running) : 0;
+            case 'percentActionElapsed':
+                return running && cue.duration > 0
+                    ? Math.min(1, this.elapsedSeconds(running) / cue.duration)
+                    : 0;
+            case 'translationX':
+            case 'translationY':
+                return 0;
+            case 'opacity':
+            case 'scaleX':
+            case 'scaleY':
+                return 1;
+            case 'cues':
+                return (cue.cues || []).map(child => this.describeCue(child, true));
+            default:
+                return cue[key] !== undefined ? cue[key] : null;
+        }
+    }
+
+    // Cue dictionary as returned by /cueLists, /runningCues and /children
+    describeCue(cue, includeChildren) {
+        const description = {
+            uniqueID: cue.uniqueID,
+            number: cue.number,
+            name: cue.name,
+            listName: this.cueValue(cue, 'listName'),
+            type: cue.type,
+            colorName: cue.colorName,
+            flagged: cue.flagged,
+            armed: cue.armed
+        };
+        if (cue.cues) {
+            description.cues = includeChildren ? cue.cues.map(child => this.describeCue(child, true)) : [];
+        }
+        return description;
+    }
+
+    findListFor(cueId) {
+        let cue = this.cuesById.get(cueId);
+        while (cue && cue.parent) {
+            cue = this.cuesById.get(cue.parent);
+        }
+        return cue && cue.type === 'Cue List' ? cue : null;
+    }
+
+    go() {
+        const cue = this.cuesById.get(this.playheadCueId);
+        if (!cue) {
+            return;
+        }
+        this.logger.info(`Simulator: GO ${cue.number || ''} ${cue.name}`.replace(/\s+/g, ' '));
+        this.startCue(cue);
+        this.movePlayhead(1);
+    }
+
+    startCue(cue) {
+        if (!cue.armed) {
+            return;
+        }
+
+        // Groups fire their children along with themselves
+        if (cue.cues) {
+            cue.cues.forEach(child => this.startCue(child));
+        }
+
+        this.stopCue(cue.uniqueID, false);
+        const entry = { cue, startedAt: Date.now(), pausedAt: null, timer: null };
+        this.runningCues.set(cue.uniqueID, entry);
+        this.scheduleCompletion(entry);
+        this.sendCueUpdate(cue);
+    }
+
+    elapsedSeconds(entry) {
+        return ((entry.pausedAt || Date.now()) - entry.startedAt) / 1000;
+    }
+
+    // Zero-length cues (memos, groups) still show as running for a moment, like QLab
+    scheduleCompletion(entry) {
+        const runtimeMs = Math.max(entry.cue.preWait + entry.cue.duration, 0.1) * 1000;
+        const remainingMs = Math.max(0, runtimeMs - this.elapsedSeconds(entry) * 1000);
+        entry.timer = setTimeout(() => this.stopCue(entry.cue.uniqueID), remainingMs);
+    }
+
+    pauseCue(cueId) {
+        const entry = this.runningCues.get(cueId);
+        if (!entry || entry.pausedAt) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        entry.pausedAt = Date.now();
+        this.sendCueUpdate(entry.cue);
+    }
+
+    resumeCue(cueId) {
+        const entry = this.runningCues.get(cueId);
+        if (!entry || !entry.pausedAt) {
+            return;
+        }
+        // Shift the start time so elapsed time excludes the pause
+        entry.startedAt += Date.now() - entry.pausedAt;
+        entry.pausedAt = null;
+        this.scheduleCompletion(entry);
+        this.sendCueUpdate(entry.cue);
+    }
+
+    stopCue(cueId, notify = true) {
+        const entry = this.runningCues.get(cueId);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        this.runningCues.delete(cueId);
+        if (notify) {
+            this.sendCueUpdate(entry.cue);
+        }
+    }
+
+    stopAll() {
+        for (const cueId of Array.from(this.runningCues.keys())) {
+            this.stopCue(cueId);
+        }
+    }
+
+    resetPlayhead() {
+        const list = this.cueLists.find(candidate => candidate.uniqueID === this.playheadListId) || this.cueLists[0];
+        if (list && list.cues.length > 0) {
+            this.setPlayhead(list.cues[0].uniqueID);
+        }
+    }
+
+    // Step the playhead through the top-level cues of its list
+    movePlayhead(step) {
+        const list = this.cueLists.find(candidate => candidate.uniqueID === this.playheadListId);
+        if (!list || list.cues.length === 0) {
+            return;
+        }
+        const index = list.cues.findIndex(cue => cue.uniqueID === this.playheadCueId);
+        const nextIndex = Math.max(0, Math.min(list.cues.length - 1, index + step));
+        if (index === -1 || nextIndex !== index) {
+            this.setPlayhead(list.cues[index === -1 ? 0 : nextIndex].uniqueID);
+        }
+    }
+
+    setPlayhead(cueId) {
+        const list = this.findListFor(cueId);
+        if (!list) {
+            this.logger.debug(`Simulator: unknown cue ${cueId} for playhead`);
+            return;
+        }
+        this.playheadListId = list.uniqueID;
+        this.playheadCueId = cueId;
+        for (const port of this.updateSubscribers) {
+            this.send(port, `/update/workspace/${this.workspace.uniqueID}/cueList/${list.uniqueID}/playbackPosition`, [cueId]);
+        }
+    }
+
+    sendCueUpdate(cue) {
+        for (const port of this.updateSubscribers) {
+            this.send(port, `/update/workspace/${this.workspace.uniqueID}/cue_id/${cue.uniqueID}`);
+        }
+    }
+}
+
+module.exports = { QLabSimulator };
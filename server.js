@@ -17,6 +17,7 @@ function safeRequire(moduleName) {
 const express = safeRequire('express');
 // Note: body-parser is included in Express 4.16+ via express.json() and express.urlencoded()
 const http = require('http');
+const https = require('https');
 const socketIo = safeRequire('socket.io');
 const osc = safeRequire('osc');
 const bonjour = safeRequire('bonjour-service');
@@ -24,11 +25,173 @@ const winston = safeRequire('winston');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const cors = safeRequire('cors');
+const { QLabSimulator } = require('./qlab-simulator');
 
 // Configuration
 const WEB_PORT = parseInt(process.env.WEB_PORT) || 7522;
-const BUNDLE_ID = 'com.figure53.QLab.4';
+
+// OSC dialects per QLab major version - picked from the /version reply when a client connects
+const QLAB_DIALECTS = {
+    4: {
+        name: 'QLab 4',
+        bundleId: 'com.figure53.QLab.4',
+        // QLab 4 has a playhead too, but by default it follows the selection, so the selected cue is what GO fires.
+        // Skips move the playhead itself - selecting alone would not move it when the two are decoupled
+        playheadCue: 'selected',
+        nextAddress: '/select/next',
+        previousAddress: '/select/previous',
+        cueListTypes: ['Cue List'],
+        cueColors: ['none', 'red', 'orange', 'green', 'blue', 'purple'],
+        // Replies "ok" or "badpass"
+        parseConnectReply: (reply) => ({
+            ok: !(typeof reply === 'string' && reply.startsWith('badpass')),
+            permissions: ['view', 'edit', 'control']
+        })
+    },
+    5: {
+        name: 'QLab 5',
+        bundleId: 'com.figure53.QLab.5',
+        // QLab 5 keeps a playhead per cue list that can differ from the selection
+        playheadCue: 'playhead',
+        nextAddress: '/playhead/next',
+        previousAddress: '/playhead/previous',
+        cueListTypes: ['Cue List', 'Cart'],
+        cueColors: [
+            'none', 'berry', 'blue', 'crimson', 'cyan', 'forest', 'gray', 'green', 'hotpink', 'indigo', 'lavender',
+            'magenta', 'midnight', 'olive', 'orange', 'peach', 'plum', 'purple', 'red', 'skyblue', 'yellow'
+        ],
+        // Replies "ok:view|edit|control" (granted permissions) or "badpass"
+        parseConnectReply: (reply) => {
+            if (typeof reply === 'string' && reply.startsWith('badpass')) {
+                return { ok: false, permissions: [] };
+            }
+            const granted = typeof reply === 'string' && reply.startsWith('ok:')
+                ? reply.substring(3).split('|').filter(Boolean)
+                : ['view', 'edit', 'control'];
+            return { ok: true, permissions: granted };
+        }
+    }
+};
+const DEFAULT_QLAB_MAJOR_VERSION = 4;
+
+// /workspace/{id}/connect takes the passcode as its only argument in every QLab version
+function qlabConnectArgs(passcode) {
+    return passcode ? [String(passcode)] : [];
+}
+
+// Pick the dialect for a version string like "5.2.3" - unknown or older versions use QLab 4
+function getQLabDialect(version) {
+    const major = parseInt(String(version || '').split('.')[0]);
+    if (major >= 5) return QLAB_DIALECTS[5];
+    return QLAB_DIALECTS[DEFAULT_QLAB_MAJOR_VERSION];
+}
+
+// How long to wait for QLab to answer a request
+const OSC_REPLY_TIMEOUT_MS = 10000;
+const OSC_VERSION_TIMEOUT_MS = 5000;
+
+// Heartbeat and reconnect timing for pooled workspace connections
+const HEARTBEAT_INTERVAL_MS = 5000;
+const HEARTBEAT_TIMEOUT_MS = 3000;
+const HEARTBEAT_MAX_MISSES = 2; // Consecutive missed heartbeats before QLab is considered gone
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const RECONNECT_LOST_AFTER_ATTEMPTS = 5; // Report "lost" after this many failures, but keep retrying
+
+// Running cues are polled only while something is playing
+const RUNNING_CUES_INTERVAL_MS = 500;
+const RUNNING_CUES_TIMEOUT_MS = 2000;
+
+// Group cue modes as reported by /cue_id/{id}/mode (QLab 5 calls mode 1 "List"; 6 is QLab 5 only)
+const GROUP_MODE_NAMES = {
+    1: 'list',
+    2: 'start_first_go_to_next',
+    3: 'timeline',
+    4: 'random',
+    6: 'playlist'
+};
+
+// Per-cue actions accepted by /api/cues/:cueId/:action and the cueCommand socket event, sent as /cue_id/{id}/{action}
+// (start fires the cue without moving the playhead, unlike GO)
+const CUE_ACTIONS = ['start', 'stop', 'hardStop', 'pause', 'resume', 'load', 'preview'];
+
+// After a GO, further GOs on the same workspace are refused for this long (0 turns it off) -
+// a double-registered tap would otherwise fire two cues. Panic is never locked out
+const GO_LOCKOUT_MS = process.env.GO_LOCKOUT_MS !== undefined
+    ? Math.max(0, parseInt(process.env.GO_LOCKOUT_MS) || 0)
+    : 500;
+
+// Roles, lowest first - each role can do everything the roles before it can.
+// Viewers see cue info, operators run transport commands, admins change levels, edit cues and reset metrics
+const ROLES = ['viewer', 'operator', 'admin'];
+// PIN for each role. With no PINs set the server is open and everyone is an admin;
+// with no viewer PIN (but others set) anyone can view without logging in
+const ROLE_PINS = {
+    viewer: process.env.VIEWER_PIN || '',
+    operator: process.env.OPERATOR_PIN || '',
+    admin: process.env.ADMIN_PIN || ''
+};
+const AUTH_REQUIRED = Object.values(ROLE_PINS).some(Boolean);
+const AUTH_SESSION_IDLE_MS = 12 * 60 * 60 * 1000; // Log out after 12 hours without a request
+const SOCKET_SESSION_CHECK_MS = 60 * 1000; // How often sockets are checked for a session that has ended
+const LOGIN_MAX_FAILURES = 5; // Wrong PINs from one address before it has to wait
+const LOGIN_LOCKOUT_MS = 60000;
+
+// Bearer token for Prometheus scraping /metrics - without it /metrics follows the PIN login like /api
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Other sites allowed to call the API (comma separated origins) - the web UI itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Timed level fades - how often the slider is stepped, how often progress is pushed to clients
+const FADE_STEP_MS = 50;
+const FADE_PROGRESS_INTERVAL_MS = 200;
+const FADE_MAX_DURATION_S = 300;
+const FADE_CURVES = ['linear', 's_curve', 'equal_power'];
+
+// Cue search - notes and broken state aren't in /cueLists, so they're fetched per cue a few at a time
+const CUE_SEARCH_DETAIL_CONCURRENCY = 4;
+const CUE_SEARCH_DETAIL_TIMEOUT_MS = 2000; // Background fetch - a slow cue is skipped, not counted as an OSC timeout
+const CUE_SEARCH_DEFAULT_LIMIT = 50;
+const CUE_SEARCH_MAX_LIMIT = 200;
+
+// Cue properties editable through PATCH /api/cues/:cueId, sent as /cue_id/{id}/{property} {value}
+const EDITABLE_CUE_PROPERTIES = ['name', 'number', 'notes', 'preWait', 'postWait', 'duration', 'continueMode', 'colorName', 'armed'];
+const CUE_CONTINUE_MODES = { none: 0, auto_continue: 1, auto_follow: 2 };
+
+// OSC transport defaults - QLab listens on 53000 for both TCP and UDP, and sends UDP replies to 53001
+const OSC_TRANSPORTS = ['tcp', 'udp'];
+const DEFAULT_OSC_TRANSPORT = OSC_TRANSPORTS.includes((process.env.OSC_TRANSPORT || '').toLowerCase())
+    ? process.env.OSC_TRANSPORT.toLowerCase()
+    : 'tcp';
+const DEFAULT_OSC_REPLY_PORT = parseInt(process.env.OSC_REPLY_PORT) || 53001;
+
+// Built-in QLab simulator - lets the whole app run without QLab (offline demos, testing)
+const QLAB_SIMULATOR = process.env.QLAB_SIMULATOR === 'true';
+const QLAB_SIMULATOR_PORT = parseInt(process.env.QLAB_SIMULATOR_PORT) || 53000;
+const QLAB_SIMULATOR_CUES = process.env.QLAB_SIMULATOR_CUES || path.join(__dirname, 'qlab-simulator-cues.json');
+
+// Where data that outlives the server is kept (level snapshots, HTTPS certificate) - the desktop app passes its userData folder
+const DATA_DIR = process.env.QONCOMMAND_DATA_DIR || path.join(os.homedir(), '.qoncommand');
+const LEVEL_SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+
+// Audit log of every command - JSON lines in DATA_DIR/audit, rotated by size, oldest file dropped
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const AUDIT_MAX_FILE_BYTES = (parseInt(process.env.AUDIT_MAX_FILE_MB) || 5) * 1024 * 1024;
+const AUDIT_MAX_FILES = parseInt(process.env.AUDIT_MAX_FILES) || 10;
+const AUDIT_CSV_COLUMNS = ['timestamp', 'client_id', 'device_name', 'workspace_id', 'command', 'cue_id', 'latency_ms', 'result', 'error'];
+
+// HTTPS - uses the given cert/key, or a self-signed certificate generated into the data folder on first run
+const HTTPS_ENABLED = process.env.HTTPS_ENABLED === 'true';
+const HTTPS_CERT_FILE = process.env.HTTPS_CERT_FILE || '';
+const HTTPS_KEY_FILE = process.env.HTTPS_KEY_FILE || '';
+const TLS_DIR = path.join(DATA_DIR, 'tls');
+// Optional plain HTTP port that only redirects to the HTTPS interface (0 = off)
+const HTTP_REDIRECT_PORT = HTTPS_ENABLED ? (parseInt(process.env.HTTP_REDIRECT_PORT) || 0) : 0;
+const WEB_PROTOCOL = HTTPS_ENABLED ? 'https' : 'http';
 
 // Logging configuration
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info'; // Changed from debug to info for better performance
@@ -55,14 +218,100 @@ const logger = winston.createLogger({
     transports: transports
 });
 
+// Read the HTTPS cert/key - without configured files, reuse (or create) the self-signed pair in TLS_DIR
+function loadTlsCredentials() {
+    if (HTTPS_CERT_FILE || HTTPS_KEY_FILE) {
+        if (!HTTPS_CERT_FILE || !HTTPS_KEY_FILE) {
+            throw new Error('HTTPS_CERT_FILE and HTTPS_KEY_FILE must be set together');
+        }
+        logger.info(`🔒 Using HTTPS certificate ${HTTPS_CERT_FILE}`);
+        return {
+            cert: fs.readFileSync(HTTPS_CERT_FILE),
+            key: fs.readFileSync(HTTPS_KEY_FILE)
+        };
+    }
+
+    const certPath = path.join(TLS_DIR, 'cert.pem');
+    const keyPath = path.join(TLS_DIR, 'key.pem');
+    if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+        logger.info(`🔒 Using self-signed HTTPS certificate from ${TLS_DIR}`);
+        return {
+            cert: fs.readFileSync(certPath),
+            key: fs.readFileSync(keyPath)
+        };
+    }
+
+    // Cover the names people will actually type - delete the folder to regenerate after the IP changes
+    const selfsigned = safeRequire('selfsigned');
+    const hostname = os.hostname();
+    const localIp = getLocalIpAddress();
+    const altNames = [
+        { type: 2, value: 'localhost' },
+        { type: 2, value: hostname },
+        { type: 2, value: `${hostname.replace(/\.local$/, '')}.local` },
+        { type: 7, ip: '127.0.0.1' }
+    ];
+    if (localIp !== 'localhost') {
+        altNames.push({ type: 7, ip: localIp });
+    }
+    const pems = selfsigned.generate([{ name: 'commonName', value: hostname }], {
+        days: 3650,
+        keySize: 2048,
+        algorithm: 'sha256',
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            { name: 'subjectAltName', altNames }
+        ]
+    });
+
+    fs.mkdirSync(TLS_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, pems.private, { mode: 0o600 });
+    fs.writeFileSync(certPath, pems.cert);
+    logger.info(`🔒 Generated a self-signed HTTPS certificate in ${TLS_DIR} (fingerprint ${pems.fingerprint})`);
+    return { cert: pems.cert, key: pems.private };
+}
+
+// Names this server answers to (the ones the self-signed certificate covers)
+function ownHostNames() {
+    const hostname = os.hostname().toLowerCase();
+    return ['localhost', '127.0.0.1', hostname, `${hostname.replace(/\.local$/, '')}.local`, getLocalIpAddress()];
+}
+
 // Express app setup
 const app = express();
-const server = http.createServer(app);
+// Socket.IO attaches to this server, so it runs over TLS too when HTTPS is on.
+// The certificate is loaded by startServer, so a bad one is logged instead of failing the require
+const server = HTTPS_ENABLED ? https.createServer(app) : http.createServer(app);
+// Plain HTTP listener that just sends browsers to the HTTPS address - one of our own names,
+// never whatever the Host header says, so it can't be used as an open redirect
+const redirectServer = HTTP_REDIRECT_PORT ? http.createServer((req, res) => {
+    const requested = (req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+    const host = ownHostNames().includes(requested) ? requested : getLocalIpAddress();
+    res.writeHead(301, { Location: `https://${host}:${WEB_PORT}${req.url}` });
+    res.end();
+}) : null;
 const io = socketIo(server, {
     cors: {
-        origin: "*",
+        origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
         methods: ["GET", "POST"]
+    },
+    // CORS doesn't cover WebSockets, so refuse pages from other sites here too
+    allowRequest: (req, callback) => callback(null, isAllowedOrigin(req.headers.origin, req.headers.host))
+});
+
+// Every socket needs a role - the token from /api/login comes in the handshake
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token ? String(socket.handshake.auth.token) : null;
+    const role = resolveRole(token);
+    if (!role) {
+        return next(new Error('Login required'));
     }
+    socket.data.token = token;
+    socket.data.deviceName = cleanDeviceName(socket.handshake.auth && socket.handshake.auth.deviceName)
+        || describeUserAgent(socket.handshake.headers['user-agent']);
+    next();
 });
 
 // Handle new client connections and send server info
@@ -75,6 +324,7 @@ io.on('connection', (socket) => {
             port: WEB_PORT,
             ip: getLocalIpAddress()
         });
+        socket.emit('performance', getPerformanceSnapshot());
         
         // Initialize client connection state
         clientConnections.set(socket.id, {
@@ -89,6 +339,46 @@ io.on('connection', (socket) => {
         logger.error(`❌ Error initializing client ${socket.id}: ${error.message}`);
     }
     
+    // Check the session again on every event - it may have ended since the socket connected
+    socket.use((packet, next) => {
+        if (!resolveRole(socket.data.token)) {
+            logger.warn(`🚫 ${packet[0]} refused for socket ${socket.id} - session ended`);
+            socket.disconnect(true);
+            return;
+        }
+        next();
+    });
+    
+    // Name shown for this device in the audit log
+    socket.on('setDeviceName', (name) => {
+        socket.data.deviceName = cleanDeviceName(name) || describeUserAgent(socket.handshake.headers['user-agent']);
+    });
+    
+    // Per-cue actions over the socket - the result comes back through the acknowledgement callback
+    socket.on('cueCommand', async (payload, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        const clientData = clientConnections.get(socket.id);
+        
+        const refusal = requireSocketRole(socket, 'operator');
+        if (refusal) {
+            return reply(refusal);
+        }
+        
+        if (!clientData || !clientData.workspaceId) {
+            return reply({ success: false, error: "Not connected to any QLab instance" });
+        }
+        
+        const { cue_id: cueId, action } = payload || {};
+        if (!cueId) {
+            return reply({ success: false, error: "cue_id is required" });
+        }
+        
+        const context = { clientId: socket.id, command: null, finished: false };
+        const result = await commandContext.run(context, () => runCueAction(socket.id, clientData.workspaceKey, String(cueId), action));
+        context.finished = true;
+        reply(result);
+    });
+    
     // Clean up when client disconnects
     socket.on('disconnect', () => {
         logger.info(`🔌 Socket client disconnected: ${socket.id}`);
@@ -100,7 +390,7 @@ io.on('connection', (socket) => {
                 const stillExists = clientConnections.has(socket.id);
                 if (!stillExists) {
                     logger.info(`🧹 Cleaning up abandoned client ${socket.id} from workspace ${clientData.workspaceId}`);
-                    removeClientFromWorkspace(socket.id, clientData.workspaceId);
+                    removeClientFromWorkspace(socket.id, clientData.workspaceKey);
                 }
             }, 30000); // 30 second grace period
         }
@@ -116,224 +406,827 @@ io.on('connection', (socket) => {
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
 app.use(express.json()); // Built-in body-parser for JSON
 app.use(express.urlencoded({ extended: true })); // Built-in body-parser for form data
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Browsers still send simple cross-site POSTs without asking CORS first - refuse them outright
+app.use('/api', (req, res, next) => {
+    if (!isAllowedOrigin(req.headers.origin, req.headers.host)) {
+        logger.warn(`🚫 ${req.method} ${req.originalUrl} refused from origin ${req.headers.origin}`);
+        return res.json({ success: false, error: "Origin not allowed" });
+    }
+    next();
+});
+
+// Remember which client each API request is for, down to the OSC requests it makes
+app.use('/api', (req, res, next) => {
+    const context = { clientId: getClientId(req), command: null, finished: false };
+    // Timers started by the request carry the context too - what they send later is background work
+    res.on('finish', () => {
+        context.finished = true;
+    });
+    commandContext.run(context, next);
+});
+
+// Authentication - PIN login hands out a token that the UI sends as X-Auth-Token and in the socket handshake
+const authSessions = new Map(); // token -> { role, lastSeen }
+const loginFailures = new Map(); // remote address -> { count, lockedUntil }
+
+function isAllowedOrigin(origin, host) {
+    if (!origin || CORS_ORIGINS.includes(origin)) {
+        return true;
+    }
+    try {
+        return new URL(origin).host === host;
+    } catch (error) {
+        return false;
+    }
+}
+
+function roleAtLeast(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Compare hashes so the time taken doesn't give away how much of the PIN was right
+function pinMatches(pin, expected) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(pin), hash(expected));
+}
+
+// Highest role whose PIN matches, or null
+function roleForPin(pin) {
+    return ROLES.slice().reverse().find(role => ROLE_PINS[role] && pinMatches(pin, ROLE_PINS[role])) || null;
+}
+
+// Role for a session token - null when the client has to log in first.
+// Each call counts as activity on the session unless touch is false
+function resolveRole(token, touch = true) {
+    if (!AUTH_REQUIRED) {
+        return 'admin';
+    }
+    
+    const session = token ? authSessions.get(token) : null;
+    if (session && Date.now() - session.lastSeen < AUTH_SESSION_IDLE_MS) {
+        if (touch) {
+            session.lastSeen = Date.now();
+        }
+        return session.role;
+    }
+    if (session) {
+        authSessions.delete(token);
+    }
+    return ROLE_PINS.viewer ? null : 'viewer';
+}
+
+function getAuthToken(req) {
+    return req.headers['x-auth-token'] || null;
+}
+
+// Route guard - refuses the request unless the client's role is at least `required`
+function requireRole(required) {
+    return (req, res, next) => {
+        const role = resolveRole(getAuthToken(req));
+        if (!role || !roleAtLeast(role, required)) {
+            logger.warn(`🚫 ${req.method} ${req.originalUrl} refused for ${role || 'anonymous'} client ${getClientId(req)}`);
+            return res.json({
+                success: false,
+                error: role ? `This needs the ${required} role` : "Login required",
+                auth_required: !role,
+                role
+            });
+        }
+        req.role = role;
+        next();
+    };
+}
+
+// Socket counterpart of requireRole - the refusal to acknowledge an event with, or null when the role is enough
+function requireSocketRole(socket, required) {
+    const role = resolveRole(socket.data.token);
+    if (role && roleAtLeast(role, required)) {
+        return null;
+    }
+    logger.warn(`🚫 Socket event refused for ${role || 'anonymous'} socket ${socket.id}`);
+    return {
+        success: false,
+        error: role ? `This needs the ${required} role` : "Login required",
+        auth_required: !role,
+        role
+    };
+}
+
+// Who am I - also tells the UI whether it has to show the login form
+app.get('/api/session', (req, res) => {
+    const role = resolveRole(getAuthToken(req));
+    res.json({
+        success: true,
+        auth_required: AUTH_REQUIRED,
+        role,
+        login_required: !role
+    });
+});
+
+app.post('/api/login', (req, res) => {
+    if (!AUTH_REQUIRED) {
+        return res.json({ success: true, role: 'admin', token: null });
+    }
+    
+    const address = req.ip;
+    const failures = loginFailures.get(address);
+    if (failures && failures.lockedUntil > Date.now()) {
+        const seconds = Math.ceil((failures.lockedUntil - Date.now()) / 1000);
+        return res.json({ success: false, error: `Too many wrong PINs - try again in ${seconds}s` });
+    }
+    
+    const pin = req.body.pin !== undefined && req.body.pin !== null ? String(req.body.pin).trim() : '';
+    const role = pin ? roleForPin(pin) : null;
+    if (!role) {
+        // A lockout that has run out starts the count again
+        const count = (failures && !failures.lockedUntil ? failures.count : 0) + 1;
+        loginFailures.set(address, {
+            count,
+            lockedUntil: count >= LOGIN_MAX_FAILURES ? Date.now() + LOGIN_LOCKOUT_MS : 0
+        });
+        logger.warn(`🔑 Wrong PIN from ${address} (${count} in a row)`);
+        return res.json({ success: false, error: "Wrong PIN" });
+    }
+    
+    loginFailures.delete(address);
+    const token = crypto.randomBytes(24).toString('hex');
+    authSessions.set(token, { role, lastSeen: Date.now() });
+    logger.info(`🔑 Client ${getClientId(req)} logged in as ${role} from ${address}`);
+    res.json({ success: true, role, token });
+});
+
+app.post('/api/logout', (req, res) => {
+    const token = getAuthToken(req);
+    if (token && authSessions.delete(token)) {
+        // Sockets opened with this token lose their role too
+        for (const socket of io.sockets.sockets.values()) {
+            if (socket.data.token === token) {
+                socket.disconnect(true);
+            }
+        }
+        logger.info(`🔑 Client ${getClientId(req)} logged out`);
+    }
+    res.json({ success: true });
+});
+
+// A socket that only listens never sends an event to be checked - drop the ones whose session has ended
+let socketSessionTimer = null;
+
+function disconnectExpiredSockets() {
+    for (const socket of io.sockets.sockets.values()) {
+        if (!resolveRole(socket.data.token, false)) {
+            logger.info(`🔑 Session ended for socket ${socket.id} - disconnecting`);
+            socket.disconnect(true);
+        }
+    }
+}
+
+// Everything else under /api needs at least the viewer role - routes that change things ask for more
+app.use('/api', requireRole('viewer'));
+
 // Global state
 let discoveredInstances = [];
+let qlabSimulator = null; // QLabSimulator when QLAB_SIMULATOR=true
 let eventHistory = [];
 const maxEventHistory = 50;
 
 // Workspace connection pooling - share connections between clients
-const workspacePool = new Map(); // workspaceId -> { client, refCount, clients: Set() }
+const workspacePool = new Map(); // workspace key (see workspacePoolKey) -> { client, refCount, clients: Set() }
 
 // Per-client workspace connections
-const clientConnections = new Map(); // socketId -> { workspaceId, selectedCue, nextCue }
+const clientConnections = new Map(); // socketId -> { workspaceId, workspaceKey, selectedCue, nextCue }
 
 // Global cue cache to persist across client reconnections
-const globalCueCache = new Map(); // workspaceId -> { cues, lastUpdate }
+const globalCueCache = new Map(); // workspace key -> { cues, lastUpdate }
 
 // Performance tracking
 let commandsSent = 0;
 let errorCount = 0;
 let totalLatencyMs = 0.0;
 
-// Global OSC port singleton - shared across all clients
-let globalOSCPort = null;
-let globalOSCCallbacks = new Map();
+// Rolling latency window for one command type, workspace or client - percentiles come from the last samples
+class LatencyStats {
+    constructor() {
+        this.samples = [];
+        this.nextSample = 0; // Ring buffer position once the window is full
+        this.commands = 0;
+        this.errors = 0;
+        this.timeouts = 0;
+        this.label = null; // Device name for client rows - kept after the socket is gone
+        // Cumulative histogram for /metrics - every sample, not just the window
+        this.bucketCounts = LATENCY_BUCKETS_MS.map(() => 0);
+        this.sampleCount = 0;
+        this.sampleSum = 0;
+    }
 
-// Global OSC message handler function
-function handleGlobalOSCMessage(oscMessage) {
-    try {
-        const address = oscMessage.address;
-        const args = oscMessage.args;
-        
-        logger.debug(`OSC message received: ${address} with ${args.length} args`);
-        
-        // QLab sends responses with address like /reply/version, /reply/workspaces, etc.
-        // The first arg is a JSON string: {"status":"ok", "address":"/workspaces", "data": [...]}
-        
-        let parsedData = null;
-        
-        // Handle both reply messages and update messages as per C# reference
-        if (address.startsWith('/reply')) {
-            if (args.length > 0 && args[0].value) {
-                try {
-                    // Try to parse the first argument as JSON
-                    const jsonData = JSON.parse(args[0].value);
-                    logger.debug(`Parsed JSON response: status=${jsonData.status}, has data=${jsonData.data !== undefined}`);
-                    
-                    if (jsonData.status === 'ok') {
-                        parsedData = jsonData.data;
-                    } else {
-                        logger.warn(`QLab returned error status: ${jsonData.status}`);
-                    }
-                } catch (parseError) {
-                    logger.error(`Failed to parse JSON response: ${parseError.message}`);
-                    parsedData = args.map(arg => arg.value);
-                }
-            } else {
-                parsedData = args.map(arg => arg.value);
-            }
-            
-            // For TCP OSC, we can safely use FIFO since TCP guarantees order
-            // But let's also handle the case where no callbacks are waiting
-            const globalCallbacks = Array.from(globalOSCCallbacks.entries());
-            if (globalCallbacks.length > 0) {
-                const [callbackId, callback] = globalCallbacks[0];
-                globalOSCCallbacks.delete(callbackId);
-                
-                // Reduced logging for performance
-                if (parsedData !== null) {
-                    callback(null, parsedData);
-                } else {
-                    callback(new Error(`QLab returned error`), null);
-                }
-            } else {
-                // Silently handle when no callbacks are waiting
-            }
-        } else if (address.includes('update')) {
-            // Handle live update messages as per QParser.cs pattern
-            logger.debug(`Received QLab update message: ${address}`);
-            
-            if (address.includes('playbackPosition')) {
-                logger.debug(`Playback position update received - updating cue info`);
-                // Trigger debounced cue info update for all clients when playback position changes
-                updateAllClientsCueInfo();
-            } else if (address.includes('cueList')) {
-                logger.debug(`Cue list update received - updating cue info`);
-                // Refresh cue list data (debounced)
-                updateAllClientsCueInfo();
-            } else if (address.includes('cue_id')) {
-                logger.debug(`Specific cue update received - updating cue info`);
-                // Update individual cue information (debounced)
-                updateAllClientsCueInfo();
-            } else if (address.endsWith('update')) {
-                logger.debug(`General workspace update received - updating cue info`);
-                // Trigger general workspace refresh (debounced)
-                updateAllClientsCueInfo();
+    record(latencyMs, success) {
+        this.commands++;
+        if (!success) {
+            this.errors++;
+        }
+        if (latencyMs === null || latencyMs === undefined) {
+            return;
+        }
+        this.sampleCount++;
+        this.sampleSum += latencyMs;
+        LATENCY_BUCKETS_MS.forEach((bound, index) => {
+            if (latencyMs <= bound) {
+                this.bucketCounts[index]++;
             }
-        } else if (address.includes('thump')) {
-            // Heartbeat message - just log at debug level
-            logger.debug('QLab heartbeat received');
+        });
+        if (this.samples.length < LATENCY_WINDOW_SIZE) {
+            this.samples.push(latencyMs);
         } else {
-            logger.debug(`Unhandled OSC message: ${address}`);
+            this.samples[this.nextSample] = latencyMs;
+            this.nextSample = (this.nextSample + 1) % LATENCY_WINDOW_SIZE;
         }
-    } catch (error) {
-        logger.error(`Error handling global OSC message: ${error.message}`);
+    }
+
+    summary() {
+        const sorted = [...this.samples].sort((a, b) => a - b);
+        // Nearest-rank percentile
+        const percentile = p => sorted.length > 0 ? sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)] : null;
+        return {
+            commands: this.commands,
+            errors: this.errors,
+            timeouts: this.timeouts,
+            error_rate: this.commands > 0 ? Math.round(this.errors / this.commands * 1000) / 10 : 0.0,
+            samples: sorted.length,
+            p50_ms: percentile(50),
+            p95_ms: percentile(95),
+            p99_ms: percentile(99),
+            max_ms: sorted.length > 0 ? sorted[sorted.length - 1] : null
+        };
+    }
+}
+
+const LATENCY_WINDOW_SIZE = 500;
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+// Rows kept per breakdown - every reconnect is a new socket ID, so forget the oldest beyond these.
+// They're also /metrics series, so commands and workspaces are capped too
+const LATENCY_MAX_ENTRIES = { command: 100, workspace: 50, client: 100 };
+const latencyStats = {
+    all: new LatencyStats(),
+    command: new Map(), // command type -> LatencyStats
+    workspace: new Map(), // workspaceId -> LatencyStats
+    client: new Map() // socket/client ID -> LatencyStats
+};
+
+// Cache lookups for /metrics - cache name -> { hits, misses }
+const cacheStats = new Map();
+
+function countCacheLookup(cache, hit) {
+    let stats = cacheStats.get(cache);
+    if (!stats) {
+        stats = { hits: 0, misses: 0 };
+        cacheStats.set(cache, stats);
+    }
+    if (hit) {
+        stats.hits++;
+    } else {
+        stats.misses++;
     }
 }
 
+// Which client and command an OSC request is sent for, so a timeout can be charged to them
+const commandContext = new AsyncLocalStorage();
+
+// OSC connection registry - one connection per QLab instance, shared by every client talking to it
+const oscConnections = new Map(); // "transport://host:port" -> QLabOSCConnection
+
+// UDP reply listeners - one bound socket per local reply port, shared by every UDP connection using it
+const udpReplyListeners = new Map(); // replyPort -> QLabUDPReplyListener
+
 /**
- * QLab OSC Client - Node.js version using OSC protocol with Zeroconf discovery
+ * A single OSC connection (TCP or UDP) to one QLab instance, with its own reply queues and lifecycle
  */
-class QLabOSCClient {
-    constructor(host = null, port = null, replyPort = 53001) {
+class QLabOSCConnection {
+    constructor(host, port, transport = 'tcp', replyPort = DEFAULT_OSC_REPLY_PORT) {
         this.host = host;
         this.port = port;
+        this.transport = transport;
         this.replyPort = replyPort;
-        this.oscPort = null; // Will use global port
+        this.key = QLabOSCConnection.keyFor(host, port, transport);
+        this.udpListener = null;
+        this.pendingReplies = new Map(); // request address -> [{ id, callback, keys }] in send order
         this.callbackIdCounter = 0;
-        this.currentWorkspaceId = null;
-        this.connected = false;
-        this.discoveredInstances = [];
-        this.bonjour = new bonjour.default();
-        
-        // Performance caching with reasonable timeout to prevent OSC flooding
-        this.selectedCueCache = null;
-        this.activeCueCache = null;
-        this.nextCueCache = null;
-        this.cueListCache = null;
-        this.cacheTimeout = 1000; // 1 second cache to reduce OSC requests and prevent timeouts
-        this.lastSelectedUpdate = 0;
-        this.lastActiveUpdate = 0;
-        this.lastNextUpdate = 0;
-        this.lastCueListUpdate = 0;
+        this.refCount = 0;
+        this.ready = false;
+        this.closed = false;
+        this.socketClosed = false;
+        this.oscPort = null;
         
-        // Start by discovering QLab instances if no host specified
-        if (!this.host || !this.port) {
-            this.discoverQLab();
+        this.open();
+    }
+
+    static keyFor(host, port, transport = 'tcp') {
+        return `${transport}://${host}:${port}`;
+    }
+
+    open() {
+        if (this.transport === 'udp') {
+            this.openUDP();
         } else {
-            this.initializeOSC();
+            this.openTCP();
         }
     }
 
-    initializeOSC() {
-        try {
-            // Use global OSC port (singleton pattern to avoid port conflicts)
-            // Using TCP as per QLab OSC specification and C# reference implementation
-            if (!globalOSCPort) {
-                globalOSCPort = new osc.TCPSocketPort({
-                    address: this.host || "127.0.0.1",
-                    port: this.port || 53000,
-                    metadata: true
-                });
-                
-                // Handle incoming OSC messages
-                globalOSCPort.on('message', handleGlobalOSCMessage);
-                
-                // Handle errors
-                globalOSCPort.on('error', (err) => {
-                    logger.error(`Global OSC TCP Port error: ${err.message}`);
-                });
-                
-                // Handle connection close
-                globalOSCPort.on('close', () => {
-                    logger.warn('Global OSC TCP Port closed - will reconnect on next use');
-                    globalOSCPort = null; // Allow reconnection
-                });
-                
-                // Handle ready event
-                globalOSCPort.on('ready', () => {
-                    logger.info(`Global OSC TCP Port connected to QLab on ${this.host || "127.0.0.1"}:${this.port || 53000}`);
-                });
-                
-                // Open the connection
-                globalOSCPort.open();
-            }
-            
-            this.oscPort = globalOSCPort;
+    openTCP() {
+        // Using TCP as per QLab OSC specification and C# reference implementation
+        this.oscPort = new osc.TCPSocketPort({
+            address: this.host,
+            port: this.port,
+            metadata: true
+        });
+        
+        // Handle incoming OSC messages
+        this.oscPort.on('message', (oscMessage) => this.handleMessage(oscMessage));
+        
+        // Handle errors
+        this.oscPort.on('error', (err) => {
+            logger.error(`OSC TCP Port error (${this.key}): ${err.message}`);
+        });
+        
+        // Handle connection close
+        this.oscPort.on('close', () => {
+            logger.warn(`OSC TCP Port closed (${this.key}) - will reconnect on next use`);
+            this.markClosed();
+        });
+        
+        // Handle ready event
+        this.oscPort.on('ready', () => {
+            this.ready = true;
+            logger.info(`OSC TCP Port connected to QLab on ${this.key}`);
+        });
+        
+        // Open the connection
+        this.oscPort.open();
+    }
 
-            logger.info(`OSC Client initialized - will send to ${this.host}:${this.port}, listening on port ${this.replyPort}`);
-            
-            // Auto-discover workspace after a short delay to let OSC stabilize
-            setTimeout(() => {
-                this.autoSelectWorkspace().catch(err => {
-                    logger.warn(`Auto workspace selection failed: ${err.message}`);
-                });
-            }, 1000);
-            
-        } catch (error) {
-            logger.error(`Failed to initialize OSC: ${error.message}`);
-            throw error;
+    openUDP() {
+        // UDP is connectionless - QLab answers on the reply port, so share one listener per local port
+        this.udpListener = acquireUDPReplyListener(this.replyPort);
+        this.udpListener.connections.add(this);
+        this.oscPort = this.udpListener.oscPort;
+        this.ready = this.udpListener.ready;
+        logger.info(`OSC UDP sending to QLab on ${this.host}:${this.port}, replies on port ${this.replyPort}`);
+    }
+
+    // Queue a callback for the reply to a request address, returns an id for removePendingReply.
+    // keys are the valuesForKeys keys asked for - see requestedKeys
+    addPendingReply(address, callback, keys = null) {
+        const id = ++this.callbackIdCounter;
+        if (!this.pendingReplies.has(address)) {
+            this.pendingReplies.set(address, []);
         }
+        this.pendingReplies.get(address).push({ id, callback, keys });
+        return id;
     }
 
-    async discoverQLab() {
-        try {
-            logger.info('Starting QLab discovery via Bonjour/Zeroconf...');
-            
-            // Browse for QLab services
-            const browser = this.bonjour.find({ type: 'qlab', protocol: 'tcp' });
-            
-            browser.on('up', (service) => {
-                logger.info(`Found QLab instance: ${service.name} at ${service.referer.address}:${service.port}`);
-                
-                this.discoveredInstances.push({
-                    name: service.name,
-                    host: service.referer.address,
-                    port: service.port,
-                    type: service.type
-                });
+    removePendingReply(address, id) {
+        const queue = this.pendingReplies.get(address);
+        if (!queue) return false;
+        
+        const index = queue.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+        
+        queue.splice(index, 1);
+        if (queue.length === 0) {
+            this.pendingReplies.delete(address);
+        }
+        return true;
+    }
 
-                // Use the first discovered instance
-                if (!this.host && !this.port) {
-                    this.host = service.referer.address;
-                    this.port = service.port;
-                    logger.info(`Connecting to QLab at ${this.host}:${this.port}`);
-                    this.initializeOSC();
+    // Take the oldest callback on the first candidate address whose request the reply data answers
+    takePendingReply(candidateAddresses, data) {
+        for (const address of candidateAddresses) {
+            const queue = this.pendingReplies.get(address);
+            const index = queue ? queue.findIndex(entry => QLabOSCConnection.replyAnswers(entry, data)) : -1;
+            if (index !== -1) {
+                const [entry] = queue.splice(index, 1);
+                if (queue.length === 0) {
+                    this.pendingReplies.delete(address);
+                }
+                return entry.callback;
+            }
+        }
+        return null;
+    }
+
+    // Sorted keys of a valuesForKeys request - the same cue can be asked for different keys at once,
+    // and a late reply to one must not be parsed as the answer to another
+    static requestedKeys(address, args) {
+        if (!address.endsWith('/valuesForKeys') || typeof args[0] !== 'string') {
+            return null;
+        }
+        try {
+            const keys = JSON.parse(args[0]);
+            return Array.isArray(keys) ? keys.map(String).sort() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Any reply answers a plain request (it asked the same question); a valuesForKeys reply must
+    // carry exactly the requested keys. Error replies carry no keys, so they go to the oldest request
+    static replyAnswers(entry, data) {
+        if (!entry.keys || !data || typeof data !== 'object' || Array.isArray(data)) {
+            return true;
+        }
+        const keys = Object.keys(data).sort();
+        return keys.length === entry.keys.length && keys.every((key, index) => key === entry.keys[index]);
+    }
+
+    // Addresses a reply may answer: QLab echoes the request address after /reply,
+    // but adds or drops the /workspace/{id} prefix depending on how the request was sent
+    static replyCandidates(replyAddress, jsonData) {
+        const requestAddress = replyAddress.substring('/reply'.length);
+        const candidates = [requestAddress];
+        
+        if (jsonData && jsonData.address && jsonData.address !== requestAddress) {
+            candidates.push(jsonData.address);
+        }
+        
+        const workspaceMatch = requestAddress.match(/^\/workspace\/([^/]+)(\/.*)$/);
+        if (workspaceMatch) {
+            candidates.push(workspaceMatch[2]);
+        } else if (jsonData && jsonData.workspace_id) {
+            candidates.push(`/workspace/${jsonData.workspace_id}${requestAddress}`);
+        }
+        
+        return candidates;
+    }
+
+    send(oscMessage) {
+        if (this.transport === 'udp') {
+            this.oscPort.send(oscMessage, this.host, this.port);
+        } else {
+            this.oscPort.send(oscMessage);
+        }
+    }
+
+    // Forget this connection and fail any requests still waiting for a reply
+    markClosed() {
+        if (this.closed) return;
+        this.closed = true;
+        this.ready = false;
+        
+        if (oscConnections.get(this.key) === this) {
+            oscConnections.delete(this.key);
+        }
+        
+        for (const queue of this.pendingReplies.values()) {
+            for (const entry of queue) {
+                entry.callback(new Error(`OSC connection to ${this.key} closed`), null);
+            }
+        }
+        this.pendingReplies.clear();
+    }
+
+    close() {
+        this.markClosed();
+        if (this.socketClosed) return;
+        this.socketClosed = true;
+        
+        try {
+            if (this.udpListener) {
+                // The UDP socket belongs to the listener - only detach from it
+                releaseUDPReplyListener(this.udpListener, this);
+                this.udpListener = null;
+            } else {
+                this.oscPort.close();
+            }
+        } catch (error) {
+            logger.debug(`Error closing OSC port ${this.key}: ${error.message}`);
+        }
+        logger.info(`Closed OSC connection to ${this.key}`);
+    }
+
+    handleMessage(oscMessage) {
+        try {
+            const address = oscMessage.address;
+            const args = oscMessage.args;
+            
+            logger.debug(`OSC message received from ${this.key}: ${address} with ${args.length} args`);
+            
+            // QLab sends responses with address like /reply/version, /reply/workspaces, etc.
+            // The first arg is a JSON string: {"status":"ok", "address":"/workspaces", "data": [...]}
+            
+            let parsedData = null;
+            let jsonData = null;
+            
+            // Handle both reply messages and update messages as per C# reference
+            if (address.startsWith('/reply')) {
+                if (args.length > 0 && args[0].value) {
+                    try {
+                        // Try to parse the first argument as JSON
+                        jsonData = JSON.parse(args[0].value);
+                        logger.debug(`Parsed JSON response: status=${jsonData.status}, has data=${jsonData.data !== undefined}`);
+                        
+                        if (jsonData.status === 'ok') {
+                            parsedData = jsonData.data;
+                        } else {
+                            logger.warn(`QLab returned error status for ${address}: ${jsonData.status}`);
+                        }
+                    } catch (parseError) {
+                        logger.error(`Failed to parse JSON response: ${parseError.message}`);
+                        parsedData = args.map(arg => arg.value);
+                    }
+                } else {
+                    parsedData = args.map(arg => arg.value);
+                }
+                
+                // Match the reply to the oldest request sent to the same address (and, for valuesForKeys,
+                // the same keys), so a timed-out or out-of-order reply can never be handed to an unrelated caller
+                const callback = this.takePendingReply(QLabOSCConnection.replyCandidates(address, jsonData), parsedData);
+                if (callback) {
+                    if (parsedData !== null) {
+                        callback(null, parsedData);
+                    } else {
+                        const replyError = new Error(`QLab returned error status: ${jsonData ? jsonData.status : 'unknown'}`);
+                        replyError.status = jsonData ? jsonData.status : null;
+                        callback(replyError, null);
+                    }
+                } else {
+                    logger.debug(`No pending request for reply ${address} - ignoring`);
+                }
+            } else if (address.includes('update')) {
+                // Handle live update messages as per QParser.cs pattern
+                logger.debug(`Received QLab update message: ${address}`);
+                
+                const positionMatch = address.match(PLAYBACK_POSITION_UPDATE_PATTERN);
+                const cueMatch = address.match(CUE_UPDATE_PATTERN);
+                
+                if (positionMatch) {
+                    // The only argument is the uniqueID of the cue now at the playhead (empty if none)
+                    const cueId = args.length > 0 ? args[0].value : '';
+                    handlePlaybackPositionUpdate(findWorkspaceKey(this, positionMatch[1]), positionMatch[2], cueId);
+                } else if (cueMatch) {
+                    // Refetch just this cue instead of refreshing every client
+                    handleCueUpdate(findWorkspaceKey(this, cueMatch[1]), cueMatch[2]);
+                } else if (address.includes('playbackPosition')) {
+                    logger.debug(`Playback position update received - updating cue info`);
+                    // Trigger debounced cue info update for all clients when playback position changes
+                    updateAllClientsCueInfo();
+                } else if (address.includes('cueList')) {
+                    logger.debug(`Cue list update received - updating cue info`);
+                    // Refresh cue list data (debounced)
+                    updateAllClientsCueInfo();
+                } else if (address.includes('cue_id')) {
+                    logger.debug(`Specific cue update received - updating cue info`);
+                    // Update individual cue information (debounced)
+                    updateAllClientsCueInfo();
+                } else if (address.endsWith('update')) {
+                    logger.debug(`General workspace update received - updating cue info`);
+                    // Trigger general workspace refresh (debounced)
+                    updateAllClientsCueInfo();
+                }
+            } else if (address.includes('thump')) {
+                // Heartbeat message - just log at debug level
+                logger.debug('QLab heartbeat received');
+            } else {
+                logger.debug(`Unhandled OSC message: ${address}`);
+            }
+        } catch (error) {
+            logger.error(`Error handling OSC message from ${this.key}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Local UDP socket receiving QLab replies on one port, handed to the connection for the sending host
+ */
+class QLabUDPReplyListener {
+    constructor(replyPort) {
+        this.replyPort = replyPort;
+        this.connections = new Set();
+        this.ready = false;
+        
+        this.oscPort = new osc.UDPPort({
+            localAddress: '0.0.0.0',
+            localPort: replyPort,
+            metadata: true
+        });
+        
+        this.oscPort.on('message', (oscMessage, timeTag, info) => this.dispatch(oscMessage, info));
+        
+        this.oscPort.on('error', (err) => {
+            logger.error(`OSC UDP Port error (reply port ${replyPort}): ${err.message || err}`);
+            if (err.code === 'EADDRINUSE') {
+                // Nothing can be received, so fail waiting requests instead of letting them time out
+                if (udpReplyListeners.get(replyPort) === this) {
+                    udpReplyListeners.delete(replyPort);
+                }
+                for (const connection of Array.from(this.connections)) {
+                    connection.markClosed();
+                }
+            }
+        });
+        
+        this.oscPort.on('ready', () => {
+            this.ready = true;
+            for (const connection of this.connections) {
+                connection.ready = true;
+            }
+            logger.info(`OSC UDP Port listening for QLab replies on port ${replyPort}`);
+        });
+        
+        this.oscPort.open();
+    }
+
+    static isLoopback(address) {
+        return ['localhost', '127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address);
+    }
+
+    dispatch(oscMessage, info) {
+        const senderAddress = info ? info.address : null;
+        const connections = Array.from(this.connections);
+        
+        let target = connections.find(connection => connection.host === senderAddress ||
+            (QLabUDPReplyListener.isLoopback(connection.host) && QLabUDPReplyListener.isLoopback(senderAddress)));
+        if (!target && connections.length === 1) {
+            // Host was given as a name rather than an IP - with a single sender there's no ambiguity
+            target = connections[0];
+        }
+        
+        if (target) {
+            target.handleMessage(oscMessage);
+        } else {
+            logger.debug(`Ignoring UDP OSC message from unknown sender ${senderAddress}: ${oscMessage.address}`);
+        }
+    }
+
+    close() {
+        try {
+            this.oscPort.close();
+        } catch (error) {
+            logger.debug(`Error closing UDP reply port ${this.replyPort}: ${error.message}`);
+        }
+        logger.info(`Closed UDP reply listener on port ${this.replyPort}`);
+    }
+}
+
+function acquireUDPReplyListener(replyPort) {
+    let listener = udpReplyListeners.get(replyPort);
+    if (!listener) {
+        listener = new QLabUDPReplyListener(replyPort);
+        udpReplyListeners.set(replyPort, listener);
+    }
+    return listener;
+}
+
+// Detach a connection from its listener and close the socket once no connection uses the port
+function releaseUDPReplyListener(listener, connection) {
+    listener.connections.delete(connection);
+    if (listener.connections.size === 0) {
+        listener.close();
+        if (udpReplyListeners.get(listener.replyPort) === listener) {
+            udpReplyListeners.delete(listener.replyPort);
+        }
+    }
+}
+
+// Get the shared connection for a QLab instance, opening it if needed
+function acquireOSCConnection(host, port, transport = 'tcp', replyPort = DEFAULT_OSC_REPLY_PORT) {
+    const key = QLabOSCConnection.keyFor(host, port, transport);
+    let connection = oscConnections.get(key);
+    
+    if (!connection) {
+        logger.info(`Opening new OSC connection to ${key}`);
+        connection = new QLabOSCConnection(host, port, transport, replyPort);
+        oscConnections.set(key, connection);
+    }
+    
+    connection.refCount++;
+    logger.debug(`Acquired OSC connection ${key} (refs: ${connection.refCount})`);
+    return connection;
+}
+
+// Drop a reference to a connection and close the socket once nothing uses it
+function releaseOSCConnection(connection) {
+    if (!connection) return;
+    
+    connection.refCount--;
+    logger.debug(`Released OSC connection ${connection.key} (refs: ${connection.refCount})`);
+    
+    if (connection.refCount <= 0) {
+        connection.close();
+    }
+}
+
+/**
+ * QLab OSC Client - Node.js version using OSC protocol with Zeroconf discovery
+ */
+class QLabOSCClient {
+    constructor(host = null, port = null, replyPort = DEFAULT_OSC_REPLY_PORT, transport = DEFAULT_OSC_TRANSPORT) {
+        this.host = host;
+        this.port = port;
+        this.replyPort = replyPort;
+        this.transport = transport;
+        this.oscPort = null; // Will use the shared connection for this host:port
+        this.connection = null;
+        this.destroyed = false;
+        this.autoSelectTimer = null;
+        this.currentWorkspaceId = null;
+        this.workspacePasscode = null; // Sent with /connect for passcode-protected workspaces
+        this.passcodeRejected = false;
+        this.workspacePermissions = [];
+        this.qlabVersion = null; // Read from /version when connecting
+        this.dialect = getQLabDialect(null);
+        this.heartbeatAddress = '/thump';
+        this.connected = false;
+        this.discoveredInstances = [];
+        this.bonjour = new bonjour.default();
+        
+        // Performance caching with reasonable timeout to prevent OSC flooding
+        this.selectedCueCache = null;
+        this.activeCueCache = null;
+        this.nextCueCache = null;
+        this.cueListCache = null;
+        this.cacheTimeout = 1000; // 1 second cache to reduce OSC requests and prevent timeouts
+        this.lastSelectedUpdate = 0;
+        this.lastActiveUpdate = 0;
+        this.lastNextUpdate = 0;
+        this.lastCueListUpdate = 0;
+        
+        // Start by discovering QLab instances if no host specified
+        if (!this.host || !this.port) {
+            this.discoverQLab();
+        } else {
+            this.initializeOSC();
+        }
+    }
+
+    initializeOSC() {
+        try {
+            if (this.destroyed) return;
+            
+            // Share one connection per QLab instance (host:port) to avoid port conflicts
+            this.connection = acquireOSCConnection(this.host || "127.0.0.1", this.port || 53000, this.transport, this.replyPort);
+            this.oscPort = this.connection.oscPort;
+
+            if (this.transport === 'udp') {
+                logger.info(`OSC Client initialized - will send UDP to ${this.host}:${this.port}, listening on port ${this.replyPort}`);
+            } else {
+                logger.info(`OSC Client initialized - will send TCP to ${this.host}:${this.port}`);
+            }
+            
+            // Auto-discover workspace after a short delay to let OSC stabilize
+            this.autoSelectTimer = setTimeout(() => {
+                this.autoSelectTimer = null;
+                this.autoSelectWorkspace().catch(err => {
+                    logger.warn(`Auto workspace selection failed: ${err.message}`);
+                });
+            }, 1000);
+            
+        } catch (error) {
+            logger.error(`Failed to initialize OSC: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Re-open the shared connection if QLab closed it since the last message
+    ensureConnection() {
+        if (this.destroyed) {
+            throw new Error('OSC client has been cleaned up');
+        }
+        if (this.connection && this.connection.closed) {
+            const previous = this.connection;
+            this.connection = acquireOSCConnection(previous.host, previous.port, previous.transport, previous.replyPort);
+            this.oscPort = this.connection.oscPort;
+            releaseOSCConnection(previous);
+        }
+        return this.connection;
+    }
+
+    async discoverQLab() {
+        try {
+            logger.info('Starting QLab discovery via Bonjour/Zeroconf...');
+            
+            // Browse for QLab services
+            const browser = this.bonjour.find({ type: 'qlab', protocol: 'tcp' });
+            
+            browser.on('up', (service) => {
+                logger.info(`Found QLab instance: ${service.name} at ${service.referer.address}:${service.port}`);
+                
+                this.discoveredInstances.push({
+                    name: service.name,
+                    host: service.referer.address,
+                    port: service.port,
+                    type: service.type
+                });
+
+                // Use the first discovered instance
+                if (!this.host && !this.port) {
+                    this.host = service.referer.address;
+                    this.port = service.port;
+                    logger.info(`Connecting to QLab at ${this.host}:${this.port}`);
+                    this.initializeOSC();
                 }
             });
 
@@ -365,7 +1258,7 @@ class QLabOSCClient {
 
 
 
-    async sendOSCMessage(address, args = [], expectReply = false) {
+    async sendOSCMessage(address, args = [], expectReply = false, timeoutMs = OSC_REPLY_TIMEOUT_MS, countTimeouts = true) {
         return new Promise((resolve, reject) => {
             try {
                 // Build OSC message with the osc library format
@@ -377,17 +1270,21 @@ class QLabOSCClient {
                     }))
                 };
                 
+                const connection = this.ensureConnection();
+                
                 if (expectReply) {
-                    const callbackId = ++this.callbackIdCounter;
+                    let callbackId = null;
+                    const context = currentCommandContext();
                     const timeout = setTimeout(() => {
-                        // Check and clean up from global callbacks
-                        if (globalOSCCallbacks.has(callbackId)) {
-                            globalOSCCallbacks.delete(callbackId);
-                            logger.warn(`OSC message timeout for ${address} after 10 seconds`);
-                            errorCount++;
+                        // Drop our entry from the reply queue - a late reply can only reach a newer request asking the same thing
+                        if (connection.removePendingReply(address, callbackId)) {
+                            logger.warn(`OSC message timeout for ${address} after ${timeoutMs / 1000} seconds`);
+                            if (countTimeouts) {
+                                recordOscTimeout(this.currentWorkspaceId, address, context);
+                            }
                             reject(new Error('OSC message timeout'));
                         }
-                    }, 10000); // 10 second timeout for TCP (increased for stability)
+                    }, timeoutMs);
 
                     const callbackFn = (error, result) => {
                         clearTimeout(timeout);
@@ -398,14 +1295,14 @@ class QLabOSCClient {
                         }
                     };
                     
-                    // Store in global callback map
-                    globalOSCCallbacks.set(callbackId, callbackFn);
+                    // Queue on this connection under the request address
+                    callbackId = connection.addPendingReply(address, callbackFn, QLabOSCConnection.requestedKeys(address, args));
                 }
 
-                // Send the OSC message via TCP connection
-                this.oscPort.send(oscMessage);
+                // Send the OSC message via this instance's TCP or UDP connection
+                connection.send(oscMessage);
                 // Reduced logging for performance - only log important messages
-                if (address.includes('connect') || address.includes('workspace') && !address.includes('/cue/selected/')) {
+                if (address.includes('connect') || address.includes('workspace') && !/\/cue\/(selected|playhead)\//.test(address)) {
                     logger.debug(`OSC: ${address}`);
                 }
                 
@@ -437,10 +1334,10 @@ class QLabOSCClient {
 
             logger.info(`Testing OSC connection to ${this.host}:${this.port}`);
             
-            // Try to get QLab version - this is a simple test that QLab will respond to
+            // Read the QLab version - this is a simple test that QLab will respond to,
+            // and tells us which OSC dialect to speak
             try {
-                await this.sendOSCMessage('/version', [], false);
-                logger.info('Successfully sent version request to QLab');
+                await this.readVersion();
                 this.connected = true;
                 return true;
             } catch (sendError) {
@@ -455,6 +1352,51 @@ class QLabOSCClient {
         }
     }
 
+    async readVersion(countTimeouts = true) {
+        const version = await this.sendOSCMessage('/version', [], true, OSC_VERSION_TIMEOUT_MS, countTimeouts);
+        this.qlabVersion = Array.isArray(version) ? String(version[0]) : String(version);
+        this.dialect = getQLabDialect(this.qlabVersion);
+        logger.info(`QLab ${this.qlabVersion} detected - using ${this.dialect.name} dialect (${this.dialect.bundleId})`);
+        return this.qlabVersion;
+    }
+
+    // Check QLab still answers - /thump is QLab's keepalive, /version is used if it isn't supported
+    async heartbeat() {
+        if (this.connection && this.connection.closed) {
+            return false;
+        }
+        try {
+            await this.sendOSCMessage(this.heartbeatAddress, [], true, HEARTBEAT_TIMEOUT_MS, false);
+            return true;
+        } catch (error) {
+            if (error.status) {
+                // QLab answered with an error status, so it's alive - it just doesn't know this address
+                logger.debug(`Heartbeat ${this.heartbeatAddress} not supported, falling back to /version`);
+                this.heartbeatAddress = '/version';
+                return true;
+            }
+            return false;
+        }
+    }
+
+    // Drop the current socket (it may be half-open) and open a fresh one to the same instance
+    reopenConnection() {
+        if (this.destroyed) {
+            throw new Error('OSC client has been cleaned up');
+        }
+        const previous = this.connection;
+        if (!previous) {
+            this.initializeOSC();
+            return this.connection;
+        }
+        
+        previous.close();
+        this.connection = acquireOSCConnection(previous.host, previous.port, previous.transport, previous.replyPort);
+        this.oscPort = this.connection.oscPort;
+        releaseOSCConnection(previous);
+        return this.connection;
+    }
+
     async getWorkspaces() {
         try {
             // Wait for OSC port to be ready
@@ -510,15 +1452,34 @@ class QLabOSCClient {
         }
     }
 
-    async setActiveWorkspace(workspaceId) {
+    async setActiveWorkspace(workspaceId, passcode = this.workspacePasscode) {
         try {
             // Store the workspace ID - if empty, commands go to /go, /stop etc without workspace prefix
             this.currentWorkspaceId = workspaceId;
+            this.workspacePasscode = passcode || null;
+            this.passcodeRejected = false;
             
             if (workspaceId) {
                 // Connect to a specific workspace as per C# reference implementation
-                await this.sendOSCMessage(`/workspace/${workspaceId}/connect`, [], true);
-                logger.info(`Connected to workspace: ${workspaceId}`);
+                // QLab answers "badpass" (or a "denied" status) when the passcode is wrong or missing
+                let reply;
+                try {
+                    reply = await this.sendOSCMessage(`/workspace/${workspaceId}/connect`, qlabConnectArgs(passcode), true);
+                } catch (error) {
+                    if (error.status === 'denied') {
+                        reply = 'badpass';
+                    } else {
+                        throw error;
+                    }
+                }
+                const connectResult = this.dialect.parseConnectReply(reply);
+                if (!connectResult.ok) {
+                    this.passcodeRejected = true;
+                    logger.warn(`QLab rejected the passcode for workspace: ${workspaceId}`);
+                    return false;
+                }
+                this.workspacePermissions = connectResult.permissions;
+                logger.info(`Connected to workspace: ${workspaceId} (permissions: ${connectResult.permissions.join(', ')})`);
                 
                 // Enable updates as per QUpdater.cs pattern
                 await this.sendOSCMessage('/updates', [1], false);
@@ -541,6 +1502,11 @@ class QLabOSCClient {
 
     async autoSelectWorkspace() {
         try {
+            // A workspace was already chosen explicitly - don't replace it
+            if (this.currentWorkspaceId) {
+                return this.currentWorkspaceId;
+            }
+            
             logger.info('Auto-selecting workspace...');
             const workspaces = await this.getWorkspaces();
             
@@ -566,16 +1532,20 @@ class QLabOSCClient {
             const now = Date.now();
             
             // Use cache if fresh
-            if (this.selectedCueCache && (now - this.lastSelectedUpdate) < this.cacheTimeout) {
+            const cached = this.selectedCueCache && (now - this.lastSelectedUpdate) < this.cacheTimeout;
+            countCacheLookup('selected_cue', cached);
+            if (cached) {
                 return this.selectedCueCache;
             }
             
             // Use the correct QLab OSC format with valuesForKeys (matches C# app)
             const valuesForKeys = '["number","uniqueID","flagged","listName","type","colorName","name","armed","displayName","isBroken","isLoaded","isPaused","isRunning","preWait","duration","postWait","translationX","translationY","opacity","scaleX","scaleY","notes","levels"]';
             
+            // QLab 5 reports the playhead cue, which is what the next GO will fire
+            const cueSpecifier = this.dialect.playheadCue;
             const address = this.currentWorkspaceId 
-                ? `/workspace/${this.currentWorkspaceId}/cue/selected/valuesForKeys` 
-                : '/cue/selected/valuesForKeys';
+                ? `/workspace/${this.currentWorkspaceId}/cue/${cueSpecifier}/valuesForKeys` 
+                : `/cue/${cueSpecifier}/valuesForKeys`;
             
             const result = await this.sendOSCMessage(address, [valuesForKeys], true);
             
@@ -636,55 +1606,231 @@ class QLabOSCClient {
         }
     }
 
-    async getNextCue() {
-        const now = Date.now();
+    // Locate cueId in any cue list and return the cue after it in that list.
+    // Inside a group the next sibling wins; after a group's last child we continue after the group.
+    static findNextCue(cueLists, cueId) {
+        const search = (siblings) => {
+            for (let i = 0; i < siblings.length; i++) {
+                const cue = siblings[i];
+                if (cue.uniqueID === cueId) {
+                    return { found: true, next: siblings[i + 1] || null };
+                }
+                if (Array.isArray(cue.cues) && cue.cues.length > 0) {
+                    const result = search(cue.cues);
+                    if (result.found) {
+                        return result.next ? result : { found: true, next: siblings[i + 1] || null };
+                    }
+                }
+            }
+            return { found: false, next: null };
+        };
         
-        try {
-            // Use cache if fresh
-            if (this.nextCueCache && (now - this.lastNextUpdate) < this.cacheTimeout) {
-                return this.nextCueCache;
+        for (const cueList of cueLists) {
+            const result = search(Array.isArray(cueList.cues) ? cueList.cues : []);
+            if (result.found) {
+                return { cueList, next: result.next };
             }
+        }
+        return null;
+    }
 
-            // Get the current selected cue first
-            const selectedCue = await this.getSelectedCue();
-            if (!selectedCue || !selectedCue.id) {
-                const noCue = {
-                    number: '--',
-                    name: 'No selection',
-                    type: 'unknown'
-                };
-                this.nextCueCache = noCue;
-                this.lastNextUpdate = now;
-                return noCue;
+    // Cue lists with their real hierarchy - each node keeps its children, parent, type and group settings
+    async getCueTree() {
+        const prefix = this.currentWorkspaceId ? `/workspace/${this.currentWorkspaceId}` : '';
+        const result = await this.sendOSCMessage(`${prefix}/cueLists`, [], true);
+        if (!Array.isArray(result)) {
+            return [];
+        }
+        
+        const groups = [];
+        const buildNode = (cue, parentId, cueListId) => {
+            const isCueList = this.dialect.cueListTypes.includes(cue.type);
+            const node = {
+                id: cue.uniqueID,
+                number: cue.number || '',
+                name: cue.listName || cue.displayName || cue.name || 'Unnamed',
+                type: cue.type || 'unknown',
+                parentId: parentId,
+                cueListId: cueListId || (isCueList ? cue.uniqueID : null),
+                colorName: cue.colorName || 'none',
+                flagged: Boolean(cue.flagged),
+                armed: cue.armed !== false,
+                mode: null,
+                modeName: null,
+                collapsed: false,
+                children: []
+            };
+            node.children = (cue.cues || []).map(child => buildNode(child, node.id, node.cueListId));
+            if (cue.type === 'Group') {
+                groups.push(node);
             }
-
-            // Get the main cue list
-            const address = this.currentWorkspaceId 
-                ? `/workspace/${this.currentWorkspaceId}/cueLists` 
+            return node;
+        };
+        const tree = result.map(cueList => buildNode(cueList, null, null));
+        
+        // /cueLists doesn't include group settings, so ask each group
+        const groupKeys = '["mode","collapsed"]';
+        await Promise.all(groups.map(async (node) => {
+            try {
+                const values = await this.sendOSCMessage(`${prefix}/cue_id/${node.id}/valuesForKeys`, [groupKeys], true) || {};
+                if (values.mode !== undefined && values.mode !== null) {
+                    node.mode = Number(values.mode);
+                    node.modeName = GROUP_MODE_NAMES[node.mode] || null;
+                }
+                node.collapsed = Boolean(values.collapsed);
+            } catch (error) {
+                logger.debug(`Could not read group settings for ${node.id}: ${error.message}`);
+            }
+        }));
+        
+        return tree;
+    }
+
+    // Cue lists (and QLab 5 carts) in the workspace, without their cues
+    async getCueLists() {
+        const address = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cueLists` 
+            : '/cueLists';
+        
+        const result = await this.sendOSCMessage(address, [], true);
+        if (!Array.isArray(result)) {
+            return [];
+        }
+        
+        const collectCueIds = (cues, ids = []) => {
+            (cues || []).forEach(cue => {
+                ids.push(cue.uniqueID);
+                collectCueIds(cue.cues, ids);
+            });
+            return ids;
+        };
+        
+        return result.map(cueList => ({
+            id: cueList.uniqueID,
+            number: cueList.number || '',
+            name: cueList.listName || cueList.name || cueList.displayName || 'Cue List',
+            type: cueList.type || 'Cue List',
+            // Every cue inside the list, groups included - used to find the list holding a cue
+            cueIds: collectCueIds(cueList.cues)
+        }));
+    }
+
+    // Fetch a single cue by uniqueID - used to refresh one cue after QLab reports a change
+    async getCueById(cueId) {
+        const valuesForKeys = '["number","uniqueID","flagged","listName","type","colorName","name","armed","displayName","isBroken","isRunning","isPaused","notes","preWait","postWait","duration","continueMode"]';
+        const address = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/valuesForKeys` 
+            : `/cue_id/${cueId}/valuesForKeys`;
+        
+        const result = await this.sendOSCMessage(address, [valuesForKeys], true);
+        const cue = Array.isArray(result) ? result[0] : result;
+        if (!cue || typeof cue !== 'object') {
+            return null;
+        }
+        
+        return {
+            id: cue.uniqueID || cueId,
+            number: cue.number || '--',
+            name: cue.listName || cue.displayName || cue.name || 'Unnamed',
+            type: cue.type || 'unknown',
+            colorName: cue.colorName || 'none',
+            flagged: Boolean(cue.flagged),
+            armed: cue.armed !== false,
+            isBroken: Boolean(cue.isBroken),
+            isRunning: Boolean(cue.isRunning),
+            isPaused: Boolean(cue.isPaused),
+            notes: cue.notes || '',
+            preWait: Number(cue.preWait) || 0,
+            postWait: Number(cue.postWait) || 0,
+            duration: Number(cue.duration) || 0,
+            continueMode: Number(cue.continueMode) || 0
+        };
+    }
+
+    // The search-only values that /cueLists leaves out
+    async getCueSearchDetails(cueId) {
+        const address = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/valuesForKeys` 
+            : `/cue_id/${cueId}/valuesForKeys`;
+        
+        const result = await this.sendOSCMessage(address, ['["notes","isBroken"]'], true, CUE_SEARCH_DETAIL_TIMEOUT_MS, false);
+        const values = Array.isArray(result) ? result[0] : result;
+        return {
+            notes: values && values.notes ? String(values.notes) : '',
+            broken: Boolean(values && values.isBroken)
+        };
+    }
+
+    // Set cue properties, one OSC setter per property - changes are validated by the caller
+    async setCueProperties(cueId, changes) {
+        const prefix = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}` 
+            : `/cue_id/${cueId}`;
+        
+        for (const [property, value] of Object.entries(changes)) {
+            const arg = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+            await this.sendOSCMessage(`${prefix}/${property}`, [arg], false);
+        }
+        logger.info(`Set ${Object.keys(changes).join(', ')} on cue ${cueId}`);
+    }
+
+    // uniqueIDs of the direct children of a cue list or group
+    async getChildIds(cueId) {
+        const address = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/children` 
+            : `/cue_id/${cueId}/children`;
+        
+        const result = await this.sendOSCMessage(address, [], true);
+        return Array.isArray(result) ? result.map(child => child.uniqueID) : [];
+    }
+
+    async getNextCue() {
+        const now = Date.now();
+        
+        try {
+            // Use cache if fresh
+            const cached = this.nextCueCache && (now - this.lastNextUpdate) < this.cacheTimeout;
+            countCacheLookup('next_cue', cached);
+            if (cached) {
+                return this.nextCueCache;
+            }
+
+            // Get the current selected cue first
+            const selectedCue = await this.getSelectedCue();
+            if (!selectedCue || !selectedCue.id) {
+                const noCue = {
+                    number: '--',
+                    name: 'No selection',
+                    type: 'unknown'
+                };
+                this.nextCueCache = noCue;
+                this.lastNextUpdate = now;
+                return noCue;
+            }
+
+            // Get the main cue list
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/cueLists` 
                 : '/cueLists';
             
             const cueLists = await this.sendOSCMessage(address, [], true);
             
             if (cueLists && Array.isArray(cueLists) && cueLists.length > 0) {
-                const mainCueList = cueLists[0]; // Main cue list
-                if (mainCueList.cues && Array.isArray(mainCueList.cues)) {
-                    // Find the currently selected cue in the list
-                    const currentIndex = mainCueList.cues.findIndex(cue => cue.uniqueID === selectedCue.id);
+                // Follow whichever cue list holds the selected cue
+                const located = QLabOSCClient.findNextCue(cueLists, selectedCue.id);
+                if (located && located.next) {
+                    const nextCue = located.next;
+                    const result = {
+                        id: nextCue.uniqueID || '',
+                        number: nextCue.number || '--',
+                        name: nextCue.listName || nextCue.name || 'Next Cue',
+                        type: nextCue.type || 'unknown',
+                        cueListId: located.cueList.uniqueID || null
+                    };
                     
-                    // If found and there's a next cue, return it
-                    if (currentIndex !== -1 && currentIndex < mainCueList.cues.length - 1) {
-                        const nextCue = mainCueList.cues[currentIndex + 1];
-                        const result = {
-                            id: nextCue.uniqueID || '',
-                            number: nextCue.number || '--',
-                            name: nextCue.listName || nextCue.name || 'Next Cue',
-                            type: nextCue.type || 'unknown'
-                        };
-                        
-                        this.nextCueCache = result;
-                        this.lastNextUpdate = now;
-                        return result;
-                    }
+                    this.nextCueCache = result;
+                    this.lastNextUpdate = now;
+                    return result;
                 }
             }
             
@@ -721,7 +1867,9 @@ class QLabOSCClient {
             const now = Date.now();
             
             // Use cache if fresh
-            if (this.activeCueCache && (now - this.lastActiveUpdate) < this.cacheTimeout) {
+            const cached = this.activeCueCache && (now - this.lastActiveUpdate) < this.cacheTimeout;
+            countCacheLookup('active_cue', cached);
+            if (cached) {
                 return this.activeCueCache;
             }
             
@@ -762,6 +1910,61 @@ class QLabOSCClient {
         }
     }
 
+    // Every running or paused cue with its timing (cue lists themselves are left out)
+    async getRunningCues() {
+        const prefix = this.currentWorkspaceId ? `/workspace/${this.currentWorkspaceId}` : '';
+        const result = await this.sendOSCMessage(`${prefix}/runningOrPausedCues`, [], true, RUNNING_CUES_TIMEOUT_MS, false);
+        if (!Array.isArray(result)) {
+            return [];
+        }
+        
+        const timingKeys = '["actionElapsed","duration","percentActionElapsed","isPaused"]';
+        const cues = result.filter(cue => cue && cue.uniqueID && !this.dialect.cueListTypes.includes(cue.type));
+        
+        return Promise.all(cues.map(async (cue) => {
+            let timing = {};
+            try {
+                timing = await this.sendOSCMessage(`${prefix}/cue_id/${cue.uniqueID}/valuesForKeys`, [timingKeys], true, RUNNING_CUES_TIMEOUT_MS, false) || {};
+            } catch (error) {
+                logger.debug(`Could not read timing for running cue ${cue.uniqueID}: ${error.message}`);
+            }
+            
+            const elapsed = Number(timing.actionElapsed) || 0;
+            const duration = Number(timing.duration) || 0;
+            const progress = timing.percentActionElapsed !== undefined
+                ? Number(timing.percentActionElapsed)
+                : (duration > 0 ? elapsed / duration : null);
+            
+            return {
+                id: cue.uniqueID,
+                number: cue.number || '--',
+                name: cue.listName || cue.displayName || cue.name || 'Running Cue',
+                type: cue.type || 'unknown',
+                elapsed: Math.round(elapsed * 10) / 10,
+                duration: Math.round(duration * 10) / 10,
+                // Cues without a duration (memos, groups, loops) have no remaining time
+                remaining: duration > 0 ? Math.round(Math.max(0, duration - elapsed) * 10) / 10 : null,
+                progress: duration > 0 && progress !== null ? Math.round(Math.min(1, Math.max(0, progress)) * 1000) / 1000 : null,
+                paused: Boolean(timing.isPaused)
+            };
+        }));
+    }
+
+    // Send an action to one cue: /cue_id/{id}/{action}
+    async sendCueCommand(cueId, action) {
+        try {
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/${action}` 
+                : `/cue_id/${cueId}/${action}`;
+            await this.sendOSCMessage(address, [], false);
+            logger.info(`Sent ${action.toUpperCase()} to cue ${cueId}`);
+            return true;
+        } catch (error) {
+            logger.error(`Error sending ${action} to cue ${cueId}: ${error.message}`);
+            return false;
+        }
+    }
+
     async go() {
         try {
             const address = this.currentWorkspaceId 
@@ -804,6 +2007,50 @@ class QLabOSCClient {
         }
     }
 
+    // Workspace-wide hold: pause every running cue, then pick up where they left off
+    async pause() {
+        try {
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/pause` 
+                : '/pause';
+            await this.sendOSCMessage(address, [], false);
+            logger.info('Sent PAUSE command');
+            return true;
+        } catch (error) {
+            logger.error(`Error sending pause command: ${error.message}`);
+            return false;
+        }
+    }
+
+    async resume() {
+        try {
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/resume` 
+                : '/resume';
+            await this.sendOSCMessage(address, [], false);
+            logger.info('Sent RESUME command');
+            return true;
+        } catch (error) {
+            logger.error(`Error sending resume command: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Stop everything immediately, skipping fade-outs
+    async hardStop() {
+        try {
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/hardStop` 
+                : '/hardStop';
+            await this.sendOSCMessage(address, [], false);
+            logger.info('Sent HARD STOP command');
+            return true;
+        } catch (error) {
+            logger.error(`Error sending hard stop command: ${error.message}`);
+            return false;
+        }
+    }
+
     async getAudioLevels() {
         try {
             // Get the current selected cue with levels information already included
@@ -813,6 +2060,9 @@ class QLabOSCClient {
                     master: -60,
                     channel1: -60,
                     channel2: -60,
+                    outputs: 0,
+                    inputs: 0,
+                    matrix: [],
                     available: false,
                     error: 'No cue selected'
                 };
@@ -821,14 +2071,20 @@ class QLabOSCClient {
             // Check if the selected cue response already contains levels data
             // The getSelectedCue method already requests levels in valuesForKeys
             if (selectedCue.levels && Array.isArray(selectedCue.levels) && selectedCue.levels.length > 0) {
-                // QLab returns levels as nested arrays: [[master, ch1, ch2], [other data], [other data]]
-                // The first array contains the main levels in dB format (-60 to +12)
+                // QLab returns levels as a matrix in dB (-60 to +12): row 0 is [master, out1, out2, ...],
+                // row N is input N - column 0 its gain, column M its crosspoint to output M
                 const mainLevels = selectedCue.levels[0];
-                if (Array.isArray(mainLevels) && mainLevels.length >= 3) {
+                if (Array.isArray(mainLevels) && mainLevels.length >= 2) {
+                    const matrix = selectedCue.levels
+                        .filter(row => Array.isArray(row))
+                        .map(row => row.map(level => Math.round(level * 10) / 10)); // Keep as dB, round to 1 decimal
                     return {
-                        master: Math.round(mainLevels[0] * 10) / 10, // Keep as dB, round to 1 decimal
-                        channel1: Math.round(mainLevels[1] * 10) / 10,
-                        channel2: Math.round(mainLevels[2] * 10) / 10,
+                        master: matrix[0][0],
+                        channel1: matrix[0][1],
+                        channel2: matrix[0].length > 2 ? matrix[0][2] : -60,
+                        outputs: matrix[0].length - 1,
+                        inputs: matrix.length - 1,
+                        matrix,
                         available: true,
                         cueId: selectedCue.id,
                         cueName: selectedCue.name,
@@ -842,6 +2098,9 @@ class QLabOSCClient {
                 master: -60,
                 channel1: -60,
                 channel2: -60,
+                outputs: 0,
+                inputs: 0,
+                matrix: [],
                 available: false,
                 error: selectedCue.type === 'Audio' ? 'No audio levels available for this cue' : 'Selected cue is not an audio cue'
             };
@@ -851,6 +2110,9 @@ class QLabOSCClient {
                 master: -60,
                 channel1: -60,
                 channel2: -60,
+                outputs: 0,
+                inputs: 0,
+                matrix: [],
                 available: false,
                 error: error.message
             };
@@ -869,21 +2131,14 @@ class QLabOSCClient {
             level = Math.max(-60, Math.min(12, level));
 
             // Map channel names to indices (QLab uses 0=master, 1=ch1, 2=ch2, etc.)
-            let channelIndex;
-            switch (channel.toLowerCase()) {
-                case 'master':
-                    channelIndex = 0;
-                    break;
-                case 'channel1':
-                case 'ch1':
-                    channelIndex = 1;
-                    break;
-                case 'channel2':
-                case 'ch2':
-                    channelIndex = 2;
-                    break;
-                default:
-                    throw new Error(`Invalid channel: ${channel}`);
+            const channelIndex = parseLevelChannel(channel);
+            if (channelIndex === null) {
+                throw new Error(`Invalid channel: ${channel}`);
+            }
+            
+            const outputs = Array.isArray(selectedCue.levels?.[0]) ? selectedCue.levels[0].length - 1 : null;
+            if (outputs !== null && channelIndex > outputs) {
+                throw new Error(`Invalid channel: ${channel} (cue has ${outputs} outputs)`);
             }
 
             // Set the audio level for the specific channel (value is already in dB)
@@ -892,6 +2147,7 @@ class QLabOSCClient {
                 : `/cue_id/${selectedCue.id}/sliderLevel/${channelIndex}`;
             
             await this.sendOSCMessage(address, [level], false);
+            this.invalidateCache(); // The cached selected cue holds the old levels
             logger.info(`Set ${channel} level to ${level}dB for cue ${selectedCue.id}`);
             return true;
         } catch (error) {
@@ -900,6 +2156,82 @@ class QLabOSCClient {
         }
     }
 
+    // Current dB of one output slider (0 = master) of any cue - fades start from here
+    async getSliderLevel(cueId, channelIndex) {
+        const address = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/sliderLevel/${channelIndex}`
+            : `/cue_id/${cueId}/sliderLevel/${channelIndex}`;
+        
+        const level = Number(await this.sendOSCMessage(address, [], true));
+        if (!Number.isFinite(level)) {
+            throw new Error(`Cue ${cueId} has no level for slider ${channelIndex}`);
+        }
+        return level;
+    }
+
+    // Output sliders [master, out1, out2, ...] of any cue, or null for cues without levels
+    async getCueSliderLevels(cueId) {
+        const address = this.currentWorkspaceId 
+            ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/valuesForKeys` 
+            : `/cue_id/${cueId}/valuesForKeys`;
+        
+        try {
+            const result = await this.sendOSCMessage(address, ['["levels"]'], true);
+            const values = Array.isArray(result) ? result[0] : result;
+            const sliders = values && Array.isArray(values.levels) ? values.levels[0] : null;
+            return Array.isArray(sliders) && sliders.length > 0 ? sliders.map(level => Math.round(level * 10) / 10) : null;
+        } catch (error) {
+            // Cues without audio answer with an error status
+            logger.debug(`No levels for cue ${cueId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Set one output slider of any cue without touching the selection - used for every step of a fade
+    async setSliderLevel(cueId, channelIndex, level) {
+        try {
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/cue_id/${cueId}/sliderLevel/${channelIndex}`
+                : `/cue_id/${cueId}/sliderLevel/${channelIndex}`;
+            await this.sendOSCMessage(address, [Math.max(-60, Math.min(12, level))], false);
+            return true;
+        } catch (error) {
+            logger.debug(`Error setting slider ${channelIndex} of cue ${cueId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Set one cell of the selected cue's levels matrix: input 0 is the output sliders row,
+    // output 0 is an input's gain, anything else is the input x output crosspoint
+    async setCrosspointLevel(input, output, level) {
+        try {
+            const selectedCue = await this.getSelectedCue();
+            if (!selectedCue || !selectedCue.id) {
+                throw new Error('No cue selected');
+            }
+            
+            const levels = Array.isArray(selectedCue.levels) ? selectedCue.levels : [];
+            if (!Array.isArray(levels[input]) || output >= levels[input].length) {
+                throw new Error(`Invalid crosspoint: input ${input}, output ${output}`);
+            }
+            
+            // Validate level (dB range: -60 to +12)
+            level = Math.max(-60, Math.min(12, level));
+            
+            const address = this.currentWorkspaceId 
+                ? `/workspace/${this.currentWorkspaceId}/cue_id/${selectedCue.id}/level`
+                : `/cue_id/${selectedCue.id}/level`;
+            
+            await this.sendOSCMessage(address, [input, output, level], false);
+            this.invalidateCache();
+            logger.info(`Set crosspoint ${input}x${output} to ${level}dB for cue ${selectedCue.id}`);
+            return true;
+        } catch (error) {
+            logger.error(`Error setting crosspoint ${input}x${output}: ${error.message}`);
+            return false;
+        }
+    }
+
     async reset() {
         try {
             const address = this.currentWorkspaceId 
@@ -917,8 +2249,8 @@ class QLabOSCClient {
     async next() {
         try {
             const address = this.currentWorkspaceId 
-                ? `/workspace/${this.currentWorkspaceId}/select/next` 
-                : '/select/next';
+                ? `/workspace/${this.currentWorkspaceId}${this.dialect.nextAddress}` 
+                : this.dialect.nextAddress;
             await this.sendOSCMessage(address, [], false);
             logger.info('Sent NEXT command');
             return true;
@@ -931,8 +2263,8 @@ class QLabOSCClient {
     async previous() {
         try {
             const address = this.currentWorkspaceId 
-                ? `/workspace/${this.currentWorkspaceId}/select/previous` 
-                : '/select/previous';
+                ? `/workspace/${this.currentWorkspaceId}${this.dialect.previousAddress}` 
+                : this.dialect.previousAddress;
             await this.sendOSCMessage(address, [], false);
             logger.info('Sent PREVIOUS command');
             return true;
@@ -960,13 +2292,13 @@ class QLabOSCClient {
             if (result && Array.isArray(result) && result.length > 0) {
                 // Check if this is the direct cue list array (QLab 4.x format)
                 // First item might be a cue or might be the list itself
-                if (result[0] && result[0].type === "Cue List") {
+                if (result[0] && this.dialect.cueListTypes.includes(result[0].type)) {
                     // This is a cue list container - process all items as cues
                     this.processCueList(result, cues, 0);
                 } else if (result[0] && result[0].cues && Array.isArray(result[0].cues)) {
                     // Each cue list has a 'cues' array (older format)
                     result.forEach(cueList => {
-                        this.processCueList(cueList.cues, cues, 0);
+                        this.processCueList(cueList.cues, cues, 0, cueList.uniqueID);
                     });
                 } else {
                     // Direct cue array
@@ -1013,9 +2345,11 @@ class QLabOSCClient {
         }
     }
 
-    processCueList(cueList, cues, depth) {
+    processCueList(cueList, cues, depth, cueListId = null) {
         for (let i = 0; i < cueList.length; i++) {
             const cue = cueList[i];
+            // Cue lists tag themselves and everything inside them
+            const listId = cueListId || (this.dialect.cueListTypes.includes(cue.type) ? cue.uniqueID : null);
             
             // Add indentation based on depth level
             const prefix = "--> ".repeat(depth);
@@ -1027,12 +2361,14 @@ class QLabOSCClient {
                 name: displayName,
                 originalName: cue.listName || cue.displayName || "Unnamed",
                 originalIndex: i,
-                depth: depth
+                depth: depth,
+                type: cue.type || "unknown",
+                cueListId: listId
             });
 
             // Process nested cues (groups)
             if (cue.cues && cue.cues.length > 0) {
-                this.processCueList(cue.cues, cues, depth + 1);
+                this.processCueList(cue.cues, cues, depth + 1, listId);
             }
         }
     }
@@ -1041,6 +2377,7 @@ class QLabOSCClient {
         try {
             const selected = await this.getSelectedCue();
             const active = await this.getActiveCue();
+            const next = await this.getNextCue();
             
             // Return combined info in AppleScript-compatible format
             return [
@@ -1048,7 +2385,10 @@ class QLabOSCClient {
                 selected.number || "",
                 selected.name || "",
                 selected.type || "",
-                "", "", "", "" // Next cue info - would need additional logic
+                next.id || "",
+                next.number || "",
+                next.name || "",
+                next.type || ""
             ];
         } catch (error) {
             logger.error(`Error getting cue info: ${error.message}`);
@@ -1068,8 +2408,17 @@ class QLabOSCClient {
 
     cleanup() {
         try {
-            // Don't close the global OSC port - other clients might be using it
-            // Just clean up this client's resources
+            this.destroyed = true;
+            if (this.autoSelectTimer) {
+                clearTimeout(this.autoSelectTimer);
+                this.autoSelectTimer = null;
+            }
+            
+            // Release this client's reference - the socket closes once no other client uses it
+            if (this.connection) {
+                releaseOSCConnection(this.connection);
+                this.connection = null;
+            }
             if (this.bonjour) {
                 this.bonjour.destroy();
             }
@@ -1083,19 +2432,29 @@ class QLabOSCClient {
  * QLab Client Wrapper with caching and optimization
  */
 class QLabClientWrapper {
-    constructor(workspaceId = null) {
-        this.client = new QLabOSCClient();
+    constructor(workspaceId = null, client = null, workspaceKey = null) {
+        this.client = client || new QLabOSCClient();
         this.currentSelectedCue = { number: "N/A", name: "Unnamed" };
         this.nextCue = { number: "N/A", name: "Unnamed" };
         this.workspaceId = workspaceId || "default";
+        this.workspaceKey = workspaceKey || this.workspaceId; // Pool key - see workspacePoolKey
         this.connected = false;
         this.connectionError = null;
+        this.connectionErrorCode = null;
         
         // Enhanced caching for performance and OSC stability
         this.cacheTimeout = 3000; // Longer cache timeout to prevent OSC timeouts
         this.lastCueUpdate = 0;
         this.cachedCues = [];
         this.lastCuesUpdate = 0;
+        this.cachedCueTree = null;
+        this.cueTreeIndex = new Map(); // cueId -> tree node, for patching single cues
+        this.lastCueTreeUpdate = 0;
+        this.cueSearchDetails = new Map(); // cueId -> { notes, broken }, filled by the first search
+        this.cueSearchDetailsLoading = null;
+        
+        // GO lockout, shared by every client on this workspace
+        this.goLockedUntil = 0;
         
         // Cache for individual cue info
         this.selectedCueCache = null;
@@ -1110,6 +2469,23 @@ class QLabClientWrapper {
         this.lastSelectionTime = 0;
         this.lastNextCueUpdate = 0;
         
+        // Heartbeat monitoring and automatic reconnect
+        this.connectionState = 'connecting';
+        this.heartbeatTimer = null;
+        this.heartbeatMisses = 0;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        
+        // Running cues, pushed to clients while anything plays
+        this.runningCues = [];
+        this.runningCuesTimer = null;
+        this.runningCuesPolling = false;
+        this.runningCuesRecheck = false;
+        
+        // Timed level fades, keyed by "cueId:slider" - one fade per slider at a time
+        this.activeFades = new Map();
+        this.nextFadeId = 1;
+        
         this.initialize();
     }
 
@@ -1119,17 +2495,26 @@ class QLabClientWrapper {
             if (await this.client.isRunning()) {
                 this.connected = true;
                 this.connectionError = null;
+                this.connectionErrorCode = null;
                 
                 // Skip workspace setting if using default ID
                 if (this.workspaceId && this.workspaceId !== "applescript" && this.workspaceId !== "default") {
                     if (await this.client.setActiveWorkspace(this.workspaceId)) {
                         logger.info(`Set active workspace to ID: ${this.workspaceId}`);
+                    } else if (this.client.passcodeRejected) {
+                        this.connected = false;
+                        this.connectionError = "Incorrect workspace passcode";
+                        this.connectionErrorCode = "bad_passcode";
+                        logger.warn(`${this.connectionError} for workspace ${this.workspaceId}`);
+                        return;
                     } else {
                         logger.warn(`Could not set workspace ID: ${this.workspaceId}`);
                     }
                 }
                 
                 logger.info("Successfully connected to QLab via OSC");
+                this.startHeartbeat();
+                this.watchRunningCues();
                 await this.updateCueInfo();
             } else {
                 this.connectionError = "QLab is not running";
@@ -1141,6 +2526,109 @@ class QLabClientWrapper {
         }
     }
 
+    startHeartbeat() {
+        if (this.heartbeatTimer || this.reconnectTimer) return;
+        
+        this.setConnectionState('connected');
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), HEARTBEAT_INTERVAL_MS);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    setConnectionState(state) {
+        const changed = this.connectionState !== state;
+        this.connectionState = state;
+        this.connected = state === 'connected';
+        
+        if (changed || state === 'reconnecting') {
+            broadcastConnectionState(this.workspaceKey, this.getConnectionState());
+        }
+    }
+
+    getConnectionState() {
+        return {
+            state: this.connectionState,
+            workspace_id: this.workspaceId,
+            attempt: this.reconnectAttempts,
+            qlab_version: this.client.qlabVersion,
+            timestamp: Date.now()
+        };
+    }
+
+    async checkHeartbeat() {
+        if (this.connectionState !== 'connected') return;
+        
+        if (await this.client.heartbeat()) {
+            this.heartbeatMisses = 0;
+            return;
+        }
+        
+        this.heartbeatMisses++;
+        logger.warn(`QLab heartbeat missed for workspace ${this.workspaceId} (${this.heartbeatMisses}/${HEARTBEAT_MAX_MISSES})`);
+        
+        if (this.heartbeatMisses >= HEARTBEAT_MAX_MISSES || (this.client.connection && this.client.connection.closed)) {
+            logger.error(`QLab stopped responding for workspace ${this.workspaceId} - reconnecting`);
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+            this.heartbeatMisses = 0;
+            this.reconnectAttempts = 0;
+            this.scheduleReconnect();
+        }
+    }
+
+    // Retry with exponential backoff: 1s, 2s, 4s ... capped at RECONNECT_MAX_DELAY_MS
+    scheduleReconnect() {
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts), RECONNECT_MAX_DELAY_MS);
+        this.reconnectAttempts++;
+        
+        this.setConnectionState(this.reconnectAttempts > RECONNECT_LOST_AFTER_ATTEMPTS ? 'lost' : 'reconnecting');
+        logger.info(`Reconnect attempt ${this.reconnectAttempts} for workspace ${this.workspaceId} in ${delay}ms`);
+        
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            const reconnected = await this.reconnect();
+            if (this.client.destroyed) return;
+            
+            if (reconnected) {
+                logger.info(`Reconnected to QLab for workspace ${this.workspaceId} after ${this.reconnectAttempts} attempt(s)`);
+                this.reconnectAttempts = 0;
+                this.client.invalidateCache();
+                this.lastCueUpdate = 0;
+                this.startHeartbeat();
+                this.watchRunningCues();
+                updateAllClientsCueInfo();
+            } else {
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    // Open a fresh socket, then repeat the workspace connect flow (/connect and /updates 1)
+    async reconnect() {
+        try {
+            this.client.reopenConnection();
+            await this.client.readVersion(false);
+            
+            const workspaceId = this.client.currentWorkspaceId;
+            if (workspaceId && !(await this.client.setActiveWorkspace(workspaceId))) {
+                throw new Error(this.client.passcodeRejected ? 'Workspace passcode rejected' : 'Workspace connect failed');
+            }
+            return true;
+        } catch (error) {
+            logger.warn(`Reconnect to QLab failed for workspace ${this.workspaceId}: ${error.message}`);
+            return false;
+        }
+    }
+
     async updateCueInfo() {
         const now = Date.now();
         if (now - this.lastCueUpdate < this.cacheTimeout) {
@@ -1257,6 +2745,36 @@ class QLabClientWrapper {
         }
     }
 
+    async pause() {
+        try {
+            return await this.client.pause();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async resume() {
+        try {
+            return await this.client.resume();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async hardStop() {
+        try {
+            this.client.invalidateCache();
+            const success = await this.client.hardStop();
+            if (success) {
+                setImmediate(() => this.updateCueInfo());
+                return true;
+            }
+            return false;
+        } catch (error) {
+            return false;
+        }
+    }
+
     async reset() {
         try {
             const success = await this.client.reset();
@@ -1279,11 +2797,11 @@ class QLabClientWrapper {
                 return true; // Return success but don't actually send
             }
             
-            // Use the correct QLab OSC format: /select_id/{uniqueID}
-            // This matches the C# qController implementation
+            // /playheadId/{uniqueID} in both QLab 4 and 5, so the next GO fires this cue
+            const skipAddress = `/playheadId/${cueId}`;
             const address = this.client.currentWorkspaceId 
-                ? `/workspace/${this.client.currentWorkspaceId}/select_id/${cueId}`
-                : `/select_id/${cueId}`;
+                ? `/workspace/${this.client.currentWorkspaceId}${skipAddress}`
+                : skipAddress;
             
             logger.info(`Selecting cue with ID: ${cueId} using address: ${address}`);
             await this.client.sendOSCMessage(address, [], false);
@@ -1300,6 +2818,41 @@ class QLabClientWrapper {
         }
     }
 
+    // Select a cue by its number - the cached cue list maps it to a uniqueID, otherwise QLab looks it up
+    async skipToCueNumber(number) {
+        const cached = this.getCachedCueList().find(cue => cue.number === number);
+        if (cached) {
+            const success = await this.skipToCue(cached.id);
+            return { success, cueId: cached.id, error: success ? null : `Failed to select cue ${number}` };
+        }
+        
+        // Not cached (list not loaded yet, or the cue was just added). QLab only answers /playhead/{number}
+        // when alwaysReply is on, so send it without waiting and read the playhead cue back instead
+        const skipAddress = `/playhead/${number}`;
+        const address = this.client.currentWorkspaceId 
+            ? `/workspace/${this.client.currentWorkspaceId}${skipAddress}`
+            : skipAddress;
+        
+        try {
+            logger.info(`Selecting cue number ${number} using address: ${address}`);
+            await this.client.sendOSCMessage(address, [], false);
+            
+            this.client.invalidateCache();
+            const selected = await this.client.getSelectedCue();
+            if (!selected || !selected.id) {
+                return { success: false, cueId: null, error: `Failed to select cue ${number}: QLab did not report the selected cue` };
+            }
+            if (selected.number !== number) {
+                // QLab ignores unknown numbers, leaving the playhead where it was
+                return { success: false, cueId: null, error: `No cue numbered "${number}" in this workspace` };
+            }
+            return { success: true, cueId: selected.id, error: null };
+        } catch (error) {
+            logger.warn(`Could not select cue number ${number}: ${error.message}`);
+            return { success: false, cueId: null, error: `Failed to select cue ${number}: ${error.message}` };
+        }
+    }
+
 
 
     async getAudioLevels() {
@@ -1310,6 +2863,9 @@ class QLabClientWrapper {
                 master: 0,
                 channel1: 0,
                 channel2: 0,
+                outputs: 0,
+                inputs: 0,
+                matrix: [],
                 available: false,
                 error: error.message
             };
@@ -1325,33 +2881,240 @@ class QLabClientWrapper {
         }
     }
 
-    cleanup() {
-        // No cleanup needed for AppleScript
+    async setCrosspointLevel(input, output, level) {
+        try {
+            return await this.client.setCrosspointLevel(input, output, level);
+        } catch (error) {
+            logger.error(`Error in wrapper setCrosspointLevel: ${error.message}`);
+            return false;
+        }
     }
 
-    async getAllCues() {
-        const now = Date.now();
-        const cuesCacheTimeout = 10000; // 10 seconds - increased for stability
+    // Start polling running cues; polling stops by itself once nothing is playing
+    watchRunningCues() {
+        if (this.runningCuesPolling) {
+            // A poll is in flight and may have missed this change - poll again afterwards
+            this.runningCuesRecheck = true;
+            return;
+        }
+        if (this.runningCuesTimer || this.client.destroyed) return;
         
-        // Check global cache first (survives client disconnections)
-        const globalCache = globalCueCache.get(this.workspaceId);
-        if (globalCache && now - globalCache.lastUpdate < cuesCacheTimeout) {
-            logger.debug(`Using global cache for workspace ${this.workspaceId} (${globalCache.cues.length} cues)`);
-            return globalCache.cues;
+        this.runningCuesTimer = setTimeout(() => this.pollRunningCues(), RUNNING_CUES_INTERVAL_MS);
+    }
+
+    async pollRunningCues() {
+        this.runningCuesTimer = null;
+        this.runningCuesPolling = true;
+        this.runningCuesRecheck = false;
+        
+        let cues = [];
+        try {
+            cues = await this.client.getRunningCues();
+        } catch (error) {
+            logger.debug(`Running cues poll failed for workspace ${this.workspaceId}: ${error.message}`);
         }
         
-        // Use instance cache if available and fresh
-        if (this.cachedCues.length > 0 && now - this.lastCuesUpdate < cuesCacheTimeout) {
-            return this.cachedCues;
+        this.runningCuesPolling = false;
+        if (this.client.destroyed) return;
+        
+        // Push while cues play, plus once more when the last one stops
+        const hadRunningCues = this.runningCues.length > 0;
+        this.runningCues = cues;
+        if (cues.length > 0 || hadRunningCues) {
+            emitToWorkspaceClients(this.workspaceKey, 'runningCues', this.getRunningCuesState());
         }
         
+        if (cues.length > 0 || this.runningCuesRecheck) {
+            this.watchRunningCues();
+        }
+    }
+
+    getRunningCuesState() {
+        return {
+            workspace_id: this.workspaceId,
+            cues: this.runningCues,
+            paused: this.isPaused(),
+            timestamp: Date.now()
+        };
+    }
+
+    // Milliseconds left before another GO is accepted - 0 when GO is allowed
+    goLockoutRemaining() {
+        return Math.max(0, this.goLockedUntil - Date.now());
+    }
+
+    // Start the lockout for a GO that is about to be sent, and let every client count it down.
+    // Returns false (without locking) when a GO is already locked out - check and lock in one step
+    // so two presses in the same instant can't both get through
+    claimGo() {
+        if (this.goLockoutRemaining() > 0) {
+            return false;
+        }
+        if (GO_LOCKOUT_MS > 0) {
+            this.goLockedUntil = Date.now() + GO_LOCKOUT_MS;
+            emitToWorkspaceClients(this.workspaceKey, 'goLockout', {
+                workspace_id: this.workspaceId,
+                lockout_ms: GO_LOCKOUT_MS,
+                remaining_ms: GO_LOCKOUT_MS,
+                timestamp: Date.now()
+            });
+        }
+        return true;
+    }
+
+    // QLab has no workspace "paused" flag - it's paused when everything that's playing is paused
+    isPaused() {
+        return this.runningCues.length > 0 && this.runningCues.every(cue => cue.paused);
+    }
+
+    async sendCueCommand(cueId, action) {
+        const success = await this.client.sendCueCommand(cueId, action);
+        if (success) {
+            this.watchRunningCues();
+        }
+        return success;
+    }
+
+    // Fade one output slider (0 = master) of a cue to a new level. A fade already running on that
+    // slider is cancelled first - or every fade on the cue with stopWhenDone, since the cue is stopped
+    // at the end. The faded slider is then put back where it started, so the cue plays at its normal level next time.
+    async startFade(cueId, channelIndex, target, durationMs, curve, stopWhenDone = false) {
+        const key = `${cueId}:${channelIndex}`;
+        const replaces = stopWhenDone ? (fade => fade.cueId === cueId) : (fade => fade.key === key);
+        this.cancelFades(replaces);
+        
+        const from = Math.round(await this.client.getSliderLevel(cueId, channelIndex) * 10) / 10;
+        // Another fade may have started on this cue while we were reading it
+        this.cancelFades(replaces);
+        
+        const fade = {
+            id: `fade-${this.nextFadeId++}`,
+            key,
+            cueId,
+            channelIndex,
+            from,
+            to: Math.max(-60, Math.min(12, target)),
+            curve,
+            durationMs,
+            stopWhenDone,
+            startedAt: Date.now(),
+            lastProgressAt: 0,
+            timer: null
+        };
+        this.activeFades.set(key, fade);
+        logger.info(`Fading slider ${channelIndex} of cue ${cueId} from ${from}dB to ${fade.to}dB over ${durationMs}ms (${curve})`);
+        
+        this.stepFade(fade);
+        return fade;
+    }
+
+    async stepFade(fade) {
+        fade.timer = null;
+        if (this.activeFades.get(fade.key) !== fade) return;
+        
+        const progress = fade.durationMs > 0 ? Math.min(1, (Date.now() - fade.startedAt) / fade.durationMs) : 1;
+        const level = fadeLevelAt(fade.from, fade.to, progress, fade.curve);
+        const sent = await this.client.setSliderLevel(fade.cueId, fade.channelIndex, level);
+        
+        // Cancelled or replaced while the step was on its way
+        if (this.activeFades.get(fade.key) !== fade) return;
+        
+        if (!sent) {
+            this.activeFades.delete(fade.key);
+            this.emitFadeProgress(fade, level, progress, 'failed');
+            return;
+        }
+        
+        if (progress >= 1) {
+            this.activeFades.delete(fade.key);
+            if (fade.stopWhenDone) {
+                await this.client.sendCueCommand(fade.cueId, 'stop');
+                await this.client.setSliderLevel(fade.cueId, fade.channelIndex, fade.from);
+                this.watchRunningCues();
+            }
+            this.client.invalidateCache();
+            this.emitFadeProgress(fade, level, 1, 'completed');
+            updateVolumeInfoForAllClients(this.workspaceKey);
+            return;
+        }
+        
+        if (Date.now() - fade.lastProgressAt >= FADE_PROGRESS_INTERVAL_MS) {
+            fade.lastProgressAt = Date.now();
+            this.emitFadeProgress(fade, level, progress, 'running');
+        }
+        fade.timer = setTimeout(() => this.stepFade(fade), FADE_STEP_MS);
+    }
+
+    // Cancel the fades matching a filter (all of them by default), leaving each slider where it got to
+    cancelFades(filter = () => true) {
+        let cancelled = 0;
+        for (const fade of Array.from(this.activeFades.values())) {
+            if (!filter(fade)) continue;
+            clearTimeout(fade.timer);
+            this.activeFades.delete(fade.key);
+            const progress = fade.durationMs > 0 ? Math.min(1, (Date.now() - fade.startedAt) / fade.durationMs) : 1;
+            this.emitFadeProgress(fade, fadeLevelAt(fade.from, fade.to, progress, fade.curve), progress, 'cancelled');
+            cancelled++;
+        }
+        return cancelled;
+    }
+
+    emitFadeProgress(fade, level, progress, state) {
+        emitToWorkspaceClients(this.workspaceKey, 'fadeProgress', {
+            workspace_id: this.workspaceId,
+            fade_id: fade.id,
+            cue_id: fade.cueId,
+            channel: fade.channelIndex === 0 ? 'master' : `channel${fade.channelIndex}`,
+            from: fade.from,
+            to: fade.to,
+            level: Math.round(level * 10) / 10,
+            progress: Math.round(progress * 1000) / 1000,
+            curve: fade.curve,
+            duration_ms: fade.durationMs,
+            state,
+            timestamp: Date.now()
+        });
+    }
+
+    cleanup() {
+        this.stopHeartbeat();
+        for (const fade of this.activeFades.values()) {
+            clearTimeout(fade.timer);
+        }
+        this.activeFades.clear();
+        if (this.runningCuesTimer) {
+            clearTimeout(this.runningCuesTimer);
+            this.runningCuesTimer = null;
+        }
+        this.client.cleanup();
+    }
+
+    async getAllCues() {
+        const now = Date.now();
+        const cuesCacheTimeout = 10000; // 10 seconds - increased for stability
+        
+        // Check global cache first (survives client disconnections)
+        const globalCache = globalCueCache.get(this.workspaceKey);
+        if (globalCache && now - globalCache.lastUpdate < cuesCacheTimeout) {
+            logger.debug(`Using global cache for workspace ${this.workspaceId} (${globalCache.cues.length} cues)`);
+            countCacheLookup('cue_list', true);
+            return globalCache.cues;
+        }
+        
+        // Use instance cache if available and fresh
+        if (this.cachedCues.length > 0 && now - this.lastCuesUpdate < cuesCacheTimeout) {
+            countCacheLookup('cue_list', true);
+            return this.cachedCues;
+        }
+        countCacheLookup('cue_list', false);
+        
         // Fetch fresh cues and cache them both locally and globally
         const cues = await this.client.getAllCues();
         this.cachedCues = cues;
         this.lastCuesUpdate = now;
         
         // Update global cache
-        globalCueCache.set(this.workspaceId, {
+        globalCueCache.set(this.workspaceKey, {
             cues: cues,
             lastUpdate: now
         });
@@ -1359,6 +3122,128 @@ class QLabClientWrapper {
         logger.info(`Cached ${cues.length} cues for workspace ${this.workspaceId}`);
         return cues;
     }
+
+    async getCueTree() {
+        const now = Date.now();
+        const cueTreeCacheTimeout = 10000; // Same lifetime as the flat cue cache
+        
+        if (this.cachedCueTree && now - this.lastCueTreeUpdate < cueTreeCacheTimeout) {
+            countCacheLookup('cue_tree', true);
+            return this.cachedCueTree;
+        }
+        countCacheLookup('cue_tree', false);
+        
+        const tree = await this.client.getCueTree();
+        this.cachedCueTree = tree;
+        this.lastCueTreeUpdate = now;
+        
+        this.cueTreeIndex.clear();
+        const indexNodes = (nodes) => nodes.forEach(node => {
+            this.cueTreeIndex.set(node.id, node);
+            indexNodes(node.children);
+        });
+        indexNodes(tree);
+        
+        return tree;
+    }
+
+    // The global cache outlives this wrapper, so prefer it over the instance copy
+    getCachedCueList() {
+        const globalCache = globalCueCache.get(this.workspaceKey);
+        return globalCache ? globalCache.cues : this.cachedCues;
+    }
+
+    findCachedCue(cueId) {
+        return this.getCachedCueList().find(cue => cue.id === cueId) || null;
+    }
+
+    // uniqueIDs of a cached cue's direct children, in list order
+    getCachedChildIds(cueId) {
+        const cues = this.getCachedCueList();
+        const index = cues.findIndex(cue => cue.id === cueId);
+        if (index === -1) return null;
+        
+        const parentDepth = cues[index].depth;
+        const childIds = [];
+        for (let i = index + 1; i < cues.length && cues[i].depth > parentDepth; i++) {
+            if (cues[i].depth === parentDepth + 1) {
+                childIds.push(cues[i].id);
+            }
+        }
+        return childIds;
+    }
+
+    // Fetch notes and broken state for every cue in the tree that hasn't been searched yet
+    async loadCueSearchDetails(tree) {
+        if (this.cueSearchDetailsLoading) {
+            return this.cueSearchDetailsLoading;
+        }
+        
+        const missing = [];
+        const collect = nodes => nodes.forEach(node => {
+            if (!this.client.dialect.cueListTypes.includes(node.type) && !this.cueSearchDetails.has(node.id)) {
+                missing.push(node.id);
+            }
+            collect(node.children);
+        });
+        collect(tree);
+        if (missing.length === 0) {
+            return;
+        }
+        
+        logger.info(`Loading search details for ${missing.length} cue(s) in workspace ${this.workspaceId}`);
+        this.cueSearchDetailsLoading = (async () => {
+            const worker = async () => {
+                while (missing.length > 0) {
+                    const cueId = missing.shift();
+                    try {
+                        this.cueSearchDetails.set(cueId, await this.client.getCueSearchDetails(cueId));
+                    } catch (error) {
+                        logger.debug(`Could not read search details for ${cueId}: ${error.message}`);
+                    }
+                }
+            };
+            await Promise.all(Array.from({ length: CUE_SEARCH_DETAIL_CONCURRENCY }, worker));
+        })().finally(() => {
+            this.cueSearchDetailsLoading = null;
+        });
+        return this.cueSearchDetailsLoading;
+    }
+
+    // Apply a refetched cue to the cached list in place - returns false if the cue isn't cached
+    patchCachedCue(cue) {
+        this.cueSearchDetails.set(cue.id, { notes: cue.notes || '', broken: Boolean(cue.isBroken) });
+        
+        const node = this.cueTreeIndex.get(cue.id);
+        if (node) {
+            Object.assign(node, {
+                number: cue.number,
+                name: cue.name,
+                type: cue.type,
+                colorName: cue.colorName,
+                flagged: cue.flagged,
+                armed: cue.armed
+            });
+        }
+        
+        const cached = this.findCachedCue(cue.id);
+        if (!cached) return false;
+        
+        cached.number = cue.number;
+        cached.type = cue.type;
+        cached.originalName = cue.name;
+        cached.name = `${"--> ".repeat(cached.depth)}${cue.name}`;
+        return true;
+    }
+
+    invalidateCueCache() {
+        this.cachedCues = [];
+        this.lastCuesUpdate = 0;
+        this.cachedCueTree = null;
+        this.cueTreeIndex.clear();
+        this.lastCueTreeUpdate = 0;
+        globalCueCache.delete(this.workspaceKey);
+    }
 }
 
 // Utility functions
@@ -1380,7 +3265,7 @@ function getLocalIpAddress() {
 async function discoverQLabInstances() {
     logger.info('🔍 Starting QLab instance discovery...');
     
-    return new Promise((resolve) => {
+    const result = await new Promise((resolve) => {
         try {
             // Try to require bonjour-service safely
             let bonjourService;
@@ -1469,10 +3354,73 @@ async function discoverQLabInstances() {
             resolve({ instances: discoveredInstances, error: null });
         }
     });
+
+    // Always list the simulator first, replacing a localhost fallback on the same port
+    if (qlabSimulator) {
+        discoveredInstances = [{
+            name: "QLab Simulator",
+            ip: "127.0.0.1",
+            port: QLAB_SIMULATOR_PORT,
+            hostname: "localhost",
+            simulator: true
+        }].concat(discoveredInstances.filter(instance => 
+            !(['127.0.0.1', 'localhost'].includes(instance.ip) && instance.port === QLAB_SIMULATOR_PORT)
+        ));
+        result.instances = discoveredInstances;
+    }
+
+    return result;
+}
+
+// Transport chosen per QLab instance - kept by address so it survives re-discovery
+const instanceTransportSettings = new Map(); // "ip:port" -> { transport, replyPort }
+
+function getInstanceTransport(instance) {
+    return instanceTransportSettings.get(`${instance.ip}:${instance.port}`) || {
+        transport: DEFAULT_OSC_TRANSPORT,
+        replyPort: DEFAULT_OSC_REPLY_PORT
+    };
+}
+
+// Validate a transport for an instance without storing it - either field may be omitted to keep the current value
+function resolveInstanceTransport(instance, transport, replyPort) {
+    const current = getInstanceTransport(instance);
+    const settings = { ...current };
+    
+    if (transport !== undefined && transport !== null && transport !== '') {
+        const normalized = String(transport).toLowerCase();
+        if (!OSC_TRANSPORTS.includes(normalized)) {
+            throw new Error(`Invalid transport: ${transport} (expected ${OSC_TRANSPORTS.join(' or ')})`);
+        }
+        settings.transport = normalized;
+    }
+    
+    if (replyPort !== undefined && replyPort !== null && replyPort !== '') {
+        const port = parseInt(replyPort);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Invalid reply port: ${replyPort}`);
+        }
+        settings.replyPort = port;
+    }
+    
+    return settings;
+}
+
+// Validate and store the transport for an instance
+function setInstanceTransport(instance, transport, replyPort) {
+    const settings = resolveInstanceTransport(instance, transport, replyPort);
+    instanceTransportSettings.set(`${instance.ip}:${instance.port}`, settings);
+    return settings;
+}
+
+// Instance list as sent to clients, including the transport each one will use
+function describeInstances(instances) {
+    return instances.map(instance => ({ ...instance, ...getInstanceTransport(instance) }));
 }
 
 // Function to get workspaces from a specific discovered QLab instance
-async function getWorkspacesFromInstance(instanceIndex) {
+// transport/replyPort only apply to this query - the stored settings are left alone
+async function getWorkspacesFromInstance(instanceIndex, transportOverride = undefined, replyPortOverride = undefined) {
     logger.info(`Getting workspaces from instance ${instanceIndex}...`);
     
     if (instanceIndex >= discoveredInstances.length) {
@@ -1480,11 +3428,12 @@ async function getWorkspacesFromInstance(instanceIndex) {
     }
     
     const instance = discoveredInstances[instanceIndex];
-    logger.info(`Connecting to ${instance.name} at ${instance.ip}:${instance.port} to get workspaces`);
+    const { transport, replyPort } = resolveInstanceTransport(instance, transportOverride, replyPortOverride);
+    logger.info(`Connecting to ${instance.name} at ${instance.ip}:${instance.port} (${transport.toUpperCase()}) to get workspaces`);
     
     try {
         // Create a temporary client to query this specific QLab instance
-        const tempClient = new QLabOSCClient(instance.ip, instance.port);
+        const tempClient = new QLabOSCClient(instance.ip, instance.port, replyPort, transport);
         
         // Wait for initialization
         await new Promise(resolve => {
@@ -1524,13 +3473,13 @@ app.get('/api/instances', async (req, res) => {
         if (error) {
             return res.json({ success: false, error });
         }
-        res.json({ success: true, instances });
+        res.json({ success: true, instances: describeInstances(instances) });
     } catch (error) {
         res.json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/refresh_instances', async (req, res) => {
+app.post('/api/refresh_instances', requireRole('operator'), async (req, res) => {
     try {
         const { instances, error } = await discoverQLabInstances();
         if (error) {
@@ -1538,7 +3487,7 @@ app.post('/api/refresh_instances', async (req, res) => {
         }
         res.json({
             success: true,
-            instances,
+            instances: describeInstances(instances),
             message: `Found ${instances.length} workspace(s)`
         });
     } catch (error) {
@@ -1549,7 +3498,14 @@ app.post('/api/refresh_instances', async (req, res) => {
 app.get('/api/instances/:instanceIndex/workspaces', async (req, res) => {
     try {
         const instanceIndex = parseInt(req.params.instanceIndex);
-        const workspaces = await getWorkspacesFromInstance(instanceIndex);
+        // The transport is only used for this listing; the connect routes store the chosen one
+        const listed = await getWorkspacesFromInstance(instanceIndex, req.query.transport, req.query.replyPort);
+        const instance = discoveredInstances[instanceIndex];
+        const { transport } = resolveInstanceTransport(instance, req.query.transport);
+        const workspaces = listed.map(workspace => ({
+            ...workspace,
+            passcodeRemembered: rememberedPasscodes.has(workspacePoolKey(instance, workspace.id, transport))
+        }));
         res.json({
             success: true,
             workspaces,
@@ -1561,22 +3517,81 @@ app.get('/api/instances/:instanceIndex/workspaces', async (req, res) => {
     }
 });
 
+// Passcodes for protected workspaces, remembered on request (kept in memory only)
+// Keyed like the workspace pool, so a backup Mac with a different passcode doesn't share it
+const rememberedPasscodes = new Map(); // workspacePoolKey -> passcode
+
+// ?instance=<index> forgets the passcode for one QLab instance, otherwise for every instance
+app.delete('/api/workspaces/:workspaceId/passcode', requireRole('admin'), (req, res) => {
+    const workspaceId = req.params.workspaceId;
+    let forgotten = false;
+    
+    if (req.query.instance !== undefined) {
+        const instance = discoveredInstances[parseInt(req.query.instance)];
+        if (!instance) {
+            return res.json({ success: false, error: "Invalid instance index" });
+        }
+        forgotten = rememberedPasscodes.delete(workspacePoolKey(instance, workspaceId));
+    } else {
+        for (const passcodeKey of [...rememberedPasscodes.keys()]) {
+            if (passcodeKey.endsWith(`/${workspaceId}`)) {
+                forgotten = rememberedPasscodes.delete(passcodeKey) || forgotten;
+            }
+        }
+    }
+    
+    logger.info(`Forgot passcode for workspace ${workspaceId}`);
+    res.json({ success: true, forgotten });
+});
+
 // Helper function to get client ID from request
 function getClientId(req) {
     return req.headers['x-client-id'] || req.headers['x-socket-id'] || 'default';
 }
 
+// Pool key for a workspace on one QLab machine - the OSC connection key plus the workspace ID,
+// so a backup Mac running a copy of the same workspace gets its own connection
+function workspacePoolKey(instanceInfo, workspaceId, transport = null) {
+    if (!instanceInfo || !instanceInfo.ip || !instanceInfo.port) {
+        // No address - the OSC client finds QLab through Bonjour
+        return `auto/${workspaceId}`;
+    }
+    transport = transport || getInstanceTransport(instanceInfo).transport;
+    return `${QLabOSCConnection.keyFor(instanceInfo.ip, instanceInfo.port, transport)}/${workspaceId}`;
+}
+
+// Pool key of a workspace open over an OSC connection, for QLab's push messages
+function findWorkspaceKey(connection, workspaceId) {
+    for (const [workspaceKey, poolEntry] of workspacePool) {
+        if (poolEntry.client.workspaceId === workspaceId && poolEntry.client.client.connection === connection) {
+            return workspaceKey;
+        }
+    }
+    return null;
+}
+
 // Workspace connection pool management
 async function getOrCreateWorkspaceConnection(workspaceId, instanceInfo) {
-    let poolEntry = workspacePool.get(workspaceId);
+    const workspaceKey = workspacePoolKey(instanceInfo, workspaceId);
+    let poolEntry = workspacePool.get(workspaceKey);
     
     if (!poolEntry) {
         // Create new shared connection
-        logger.info(`Creating new shared workspace connection for: ${workspaceId}`);
-        const client = new QLabClientWrapper(workspaceId);
+        logger.info(`Creating new shared workspace connection for: ${workspaceKey}`);
+        
+        // Talk to the chosen instance directly; without an address the client falls back to discovery
+        let oscClient = null;
+        if (instanceInfo && instanceInfo.ip && instanceInfo.port) {
+            const { transport, replyPort } = getInstanceTransport(instanceInfo);
+            oscClient = new QLabOSCClient(instanceInfo.ip, instanceInfo.port, replyPort, transport);
+        }
+        
+        const client = new QLabClientWrapper(workspaceId, oscClient, workspaceKey);
+        client.client.workspacePasscode = rememberedPasscodes.get(workspaceKey) || null;
         await client.initialize();
         
         if (client.connectionError || !client.connected) {
+            client.cleanup();
             throw new Error(client.connectionError || "Failed to connect to QLab workspace");
         }
         
@@ -1586,43 +3601,47 @@ async function getOrCreateWorkspaceConnection(workspaceId, instanceInfo) {
             clients: new Set(),
             instanceInfo: instanceInfo
         };
-        workspacePool.set(workspaceId, poolEntry);
+        workspacePool.set(workspaceKey, poolEntry);
     }
     
     return poolEntry;
 }
 
-function addClientToWorkspace(clientId, workspaceId) {
-    const poolEntry = workspacePool.get(workspaceId);
+function addClientToWorkspace(clientId, workspaceKey) {
+    const poolEntry = workspacePool.get(workspaceKey);
     if (poolEntry) {
         poolEntry.clients.add(clientId);
         poolEntry.refCount++;
-        logger.info(`Added client ${clientId} to workspace ${workspaceId} (refs: ${poolEntry.refCount})`);
+        logger.info(`Added client ${clientId} to workspace ${workspaceKey} (refs: ${poolEntry.refCount})`);
+        
+        // Let the new client know the current QLab connection state and what's playing
+        io.to(clientId).emit('connectionState', poolEntry.client.getConnectionState());
+        io.to(clientId).emit('runningCues', poolEntry.client.getRunningCuesState());
     }
 }
 
-function removeClientFromWorkspace(clientId, workspaceId) {
-    const poolEntry = workspacePool.get(workspaceId);
+function removeClientFromWorkspace(clientId, workspaceKey) {
+    const poolEntry = workspacePool.get(workspaceKey);
     if (poolEntry) {
         poolEntry.clients.delete(clientId);
         poolEntry.refCount--;
-        logger.info(`Removed client ${clientId} from workspace ${workspaceId} (refs: ${poolEntry.refCount})`);
+        logger.info(`Removed client ${clientId} from workspace ${workspaceKey} (refs: ${poolEntry.refCount})`);
         
         // Clean up workspace connection if no more clients
         if (poolEntry.refCount <= 0) {
-            logger.info(`Cleaning up workspace connection for: ${workspaceId}`);
+            logger.info(`Cleaning up workspace connection for: ${workspaceKey}`);
             try {
                 poolEntry.client.cleanup();
             } catch (error) {
-                logger.error(`Error cleaning up workspace ${workspaceId}: ${error.message}`);
+                logger.error(`Error cleaning up workspace ${workspaceKey}: ${error.message}`);
             }
-            workspacePool.delete(workspaceId);
+            workspacePool.delete(workspaceKey);
         }
     }
 }
 
-function getWorkspaceClient(workspaceId) {
-    const poolEntry = workspacePool.get(workspaceId);
+function getWorkspaceClient(workspaceKey) {
+    const poolEntry = workspacePool.get(workspaceKey);
     return poolEntry ? poolEntry.client : null;
 }
 
@@ -1640,6 +3659,7 @@ app.post('/api/connect/:instanceId/:workspaceId', async (req, res) => {
     if (!clientData) {
         clientData = {
             workspaceId: null,
+            workspaceKey: null,
             selectedCue: { number: "", name: "" },
             nextCue: { number: "", name: "" }
         };
@@ -1648,16 +3668,23 @@ app.post('/api/connect/:instanceId/:workspaceId', async (req, res) => {
     
     // Disconnect from any existing workspace connection for this client
     if (clientData.workspaceId) {
-        removeClientFromWorkspace(clientId, clientData.workspaceId);
+        removeClientFromWorkspace(clientId, clientData.workspaceKey);
         clientData.workspaceId = null;
+        clientData.workspaceKey = null;
     }
     
+    let customClient = null;
     try {
         const instance = discoveredInstances[instanceId];
-        logger.info(`Connecting to QLab instance: ${instance.name} at ${instance.ip}:${instance.port}, workspace: ${workspaceId}`);
+        const { transport, replyPort } = setInstanceTransport(instance, req.body.transport, req.body.replyPort);
+        logger.info(`Connecting to QLab instance: ${instance.name} at ${instance.ip}:${instance.port} (${transport.toUpperCase()}), workspace: ${workspaceId}`);
+        
+        // Use the passcode from the request, or one remembered for this workspace on this instance
+        const workspaceKey = workspacePoolKey(instance, workspaceId);
+        const passcode = req.body.passcode || rememberedPasscodes.get(workspaceKey) || null;
         
         // Create a custom QLabOSCClient for this specific instance
-        const customClient = new QLabOSCClient(instance.ip, instance.port);
+        customClient = new QLabOSCClient(instance.ip, instance.port, replyPort, transport);
         
         // Wait for initialization
         await new Promise((resolve, reject) => {
@@ -1673,37 +3700,63 @@ app.post('/api/connect/:instanceId/:workspaceId', async (req, res) => {
             checkInit();
         });
         
+        // Read the QLab version first so the workspace connect uses the right dialect
+        if (!(await customClient.isRunning())) {
+            throw new Error("QLab is not responding");
+        }
+        
         // Set the workspace
-        await customClient.setActiveWorkspace(workspaceId);
+        if (!(await customClient.setActiveWorkspace(workspaceId, passcode)) && customClient.passcodeRejected) {
+            if (!req.body.passcode) {
+                // A remembered passcode no longer works - forget it so the user is asked again
+                rememberedPasscodes.delete(workspaceKey);
+            }
+            const passcodeError = new Error(passcode ? "Incorrect workspace passcode" : "This workspace requires a passcode");
+            passcodeError.code = "bad_passcode";
+            throw passcodeError;
+        }
+        
+        if (req.body.passcode && req.body.rememberPasscode) {
+            rememberedPasscodes.set(workspaceKey, req.body.passcode);
+            logger.info(`Remembering passcode for workspace ${workspaceKey}`);
+        }
         
         // Create wrapper with the custom client
-        const clientWrapper = new QLabClientWrapper(workspaceId);
-        clientWrapper.client = customClient; // Replace the default client
+        let clientWrapper = new QLabClientWrapper(workspaceId, customClient, workspaceKey);
         await clientWrapper.initialize();
         
         if (clientWrapper.connectionError || !clientWrapper.connected) {
-            throw new Error(clientWrapper.connectionError || "Failed to connect to workspace");
+            const connectError = new Error(clientWrapper.connectionError || "Failed to connect to workspace");
+            connectError.code = clientWrapper.connectionErrorCode;
+            throw connectError;
         }
         
         // Get or create workspace pool entry
-        let poolEntry = workspacePool.get(workspaceId);
-        if (!poolEntry) {
+        let poolEntry = workspacePool.get(workspaceKey);
+        if (poolEntry) {
+            // Another client already holds this workspace on this QLab - drop our duplicate connection reference
+            clientWrapper.cleanup();
+            clientWrapper = poolEntry.client;
+        } else {
             poolEntry = {
                 client: clientWrapper,
                 refCount: 0,
                 clients: new Set(),
                 instanceInfo: {
                     ...instance,
+                    transport,
+                    replyPort,
                     workspace_id: workspaceId,
                     workspace_name: `Workspace ${workspaceId}`
                 }
             };
-            workspacePool.set(workspaceId, poolEntry);
+            workspacePool.set(workspaceKey, poolEntry);
         }
         
         // Add this client to the workspace
-        addClientToWorkspace(clientId, workspaceId);
+        addClientToWorkspace(clientId, workspaceKey);
         clientData.workspaceId = workspaceId;
+        clientData.workspaceKey = workspaceKey;
         
         // Get initial cue data
         clientData.selectedCue = await clientWrapper.getCurrentSelectedCue();
@@ -1714,6 +3767,8 @@ app.post('/api/connect/:instanceId/:workspaceId', async (req, res) => {
             success: true,
             name: `${instance.name} - Workspace ${workspaceId}`,
             ip: instance.ip || "localhost",
+            transport,
+            qlab_version: clientWrapper.client.qlabVersion,
             workspace_id: workspaceId,
             currentCue: clientData.selectedCue,
             nextCue: clientData.nextCue
@@ -1724,7 +3779,7 @@ app.post('/api/connect/:instanceId/:workspaceId', async (req, res) => {
             updateCueInfoForClient(clientId);
             // Also send initial volume info
             setTimeout(() => {
-                updateVolumeInfoForAllClients(workspaceId);
+                updateVolumeInfoForAllClients(workspaceKey);
             }, 200);
         }, 100);
         
@@ -1741,7 +3796,11 @@ app.post('/api/connect/:instanceId/:workspaceId', async (req, res) => {
         
     } catch (error) {
         logger.error(`Error connecting to workspace ${workspaceId}: ${error.message}`);
-        res.json({ success: false, error: error.message });
+        // Release the socket reference unless the workspace pool took ownership of it
+        if (customClient && !Array.from(workspacePool.values()).some(entry => entry.client.client === customClient)) {
+            customClient.cleanup();
+        }
+        res.json({ success: false, error: error.message, error_code: error.code || null });
     }
 });
 
@@ -1758,6 +3817,7 @@ app.post('/api/connect/:instanceId', async (req, res) => {
     if (!clientData) {
         clientData = {
             workspaceId: null,
+            workspaceKey: null,
             selectedCue: { number: "", name: "" },
             nextCue: { number: "", name: "" }
         };
@@ -1766,8 +3826,9 @@ app.post('/api/connect/:instanceId', async (req, res) => {
     
     // Disconnect from any existing workspace connection for this client
     if (clientData.workspaceId) {
-        removeClientFromWorkspace(clientId, clientData.workspaceId);
+        removeClientFromWorkspace(clientId, clientData.workspaceKey);
         clientData.workspaceId = null;
+        clientData.workspaceKey = null;
     }
     
     try {
@@ -1799,8 +3860,9 @@ app.post('/api/connect/:instanceId', async (req, res) => {
         });
         
         // Add this client to the workspace
-        addClientToWorkspace(clientId, workspaceId);
+        addClientToWorkspace(clientId, poolEntry.client.workspaceKey);
         clientData.workspaceId = workspaceId;
+        clientData.workspaceKey = poolEntry.client.workspaceKey;
         
         // Get initial cue data for this client from shared connection
         const client = poolEntry.client;
@@ -1813,6 +3875,7 @@ app.post('/api/connect/:instanceId', async (req, res) => {
             success: true,
             name: `${instance.name} - ${workspace.displayName || workspace.name}`,
             ip: instance.ip || "localhost",
+            qlab_version: client.client.qlabVersion,
             workspace_id: workspaceId,
             currentCue: clientData.selectedCue,
             nextCue: clientData.nextCue
@@ -1823,7 +3886,7 @@ app.post('/api/connect/:instanceId', async (req, res) => {
             updateCueInfoForClient(clientId);
             // Also send initial volume info
             setTimeout(() => {
-                updateVolumeInfoForAllClients(workspaceId);
+                updateVolumeInfoForAllClients(client.workspaceKey);
             }, 200);
         }, 100);
         
@@ -1843,7 +3906,7 @@ app.post('/api/connect/:instanceId', async (req, res) => {
     }
 });
 
-app.post('/api/connect_direct', async (req, res) => {
+app.post('/api/connect_direct', requireRole('operator'), async (req, res) => {
     const clientId = getClientId(req);
     
     try {
@@ -1852,6 +3915,7 @@ app.post('/api/connect_direct', async (req, res) => {
         if (!clientData) {
             clientData = {
                 workspaceId: null,
+                workspaceKey: null,
                 selectedCue: { number: "", name: "" },
                 nextCue: { number: "", name: "" }
             };
@@ -1860,8 +3924,9 @@ app.post('/api/connect_direct', async (req, res) => {
         
         // Disconnect from any existing workspace connection for this client
         if (clientData.workspaceId) {
-            removeClientFromWorkspace(clientId, clientData.workspaceId);
+            removeClientFromWorkspace(clientId, clientData.workspaceKey);
             clientData.workspaceId = null;
+            clientData.workspaceKey = null;
         }
         
         logger.info('Attempting direct connection to QLab...');
@@ -1880,8 +3945,9 @@ app.post('/api/connect_direct', async (req, res) => {
         const poolEntry = await getOrCreateWorkspaceConnection(workspaceId, instance);
         
         // Add this client to the workspace
-        addClientToWorkspace(clientId, workspaceId);
+        addClientToWorkspace(clientId, poolEntry.client.workspaceKey);
         clientData.workspaceId = workspaceId;
+        clientData.workspaceKey = poolEntry.client.workspaceKey;
         
         // Get initial cue data for this client from shared connection
         const client = poolEntry.client;
@@ -1894,6 +3960,7 @@ app.post('/api/connect_direct', async (req, res) => {
             success: true,
             name: "QLab - Default Workspace",
             ip: "localhost",
+            qlab_version: client.client.qlabVersion,
             workspace_id: workspaceId,
             currentCue: clientData.selectedCue,
             nextCue: clientData.nextCue
@@ -1904,7 +3971,7 @@ app.post('/api/connect_direct', async (req, res) => {
             updateCueInfoForClient(clientId);
             // Also send initial volume info
             setTimeout(() => {
-                updateVolumeInfoForAllClients(workspaceId);
+                updateVolumeInfoForAllClients(client.workspaceKey);
             }, 200);
         }, 100);
         
@@ -1931,7 +3998,7 @@ app.post('/api/disconnect', (req, res) => {
     if (clientData && clientData.workspaceId) {
         try {
             logger.info(`Disconnecting client ${clientId} from workspace ${clientData.workspaceId}`);
-            removeClientFromWorkspace(clientId, clientData.workspaceId);
+            removeClientFromWorkspace(clientId, clientData.workspaceKey);
         } catch (error) {
             logger.error(`Error during disconnect for client ${clientId}: ${error.message}`);
         }
@@ -1940,6 +4007,7 @@ app.post('/api/disconnect', (req, res) => {
     // Reset client connection data
     if (clientData) {
         clientData.workspaceId = null;
+        clientData.workspaceKey = null;
         clientData.selectedCue = { number: "", name: "" };
         clientData.nextCue = { number: "", name: "" };
     }
@@ -1947,7 +4015,7 @@ app.post('/api/disconnect', (req, res) => {
     res.json({ success: true });
 });
 
-app.post('/api/command/:command', async (req, res) => {
+app.post('/api/command/:command', requireRole('operator'), async (req, res) => {
     const clientId = getClientId(req);
     const clientData = clientConnections.get(clientId);
     
@@ -1956,11 +4024,25 @@ app.post('/api/command/:command', async (req, res) => {
     }
     
     const command = req.params.command;
-    const client = getWorkspaceClient(clientData.workspaceId);
+    const client = getWorkspaceClient(clientData.workspaceKey);
     
     if (!client) {
         return res.json({ success: false, error: "Workspace connection lost" });
     }
+    
+    // A second GO inside the lockout window is refused, not sent
+    if (command === 'play' && !client.claimGo()) {
+        const remainingMs = client.goLockoutRemaining();
+        logger.info(`🔒 GO from client ${clientId} ignored - locked out for another ${remainingMs}ms`);
+        auditCommand({ clientId, workspaceId: clientData.workspaceId, command, result: 'locked_out' });
+        return res.json({
+            success: false,
+            go_locked: true,
+            remaining_ms: remainingMs,
+            error: `GO locked out for another ${remainingMs}ms`
+        });
+    }
+    setContextCommand(command);
     const startTime = Date.now();
     
     try {
@@ -1986,8 +4068,14 @@ app.post('/api/command/:command', async (req, res) => {
             case "reset":
                 success = await client.reset();
                 break;
-            case "panic":
-                success = await client.panic();
+            case "pause":
+                success = await client.pause();
+                break;
+            case "resume":
+                success = await client.resume();
+                break;
+            case "hardStop":
+                success = await client.hardStop();
                 break;
             default:
                 success = false;
@@ -1996,15 +4084,16 @@ app.post('/api/command/:command', async (req, res) => {
         
         const latencyMs = Date.now() - startTime;
         
-        // Update performance counters
-        commandsSent++;
-        totalLatencyMs += latencyMs;
-        if (!success) {
-            errorCount++;
+        // Update performance counters and the audit log
+        recordCommand({ clientId, workspaceId: clientData.workspaceId, command, latencyMs, success, error: errorMsg });
+        
+        // Transport commands start, stop, pause or resume cues
+        if (success && ['play', 'stop', 'panic', 'reset', 'pause', 'resume', 'hardStop'].includes(command)) {
+            client.watchRunningCues();
         }
         
         // Update cue info for all clients after successful navigation commands
-        if (success && ['play', 'stop', 'next', 'previous', 'panic', 'reset'].includes(command)) {
+        if (success && ['play', 'stop', 'next', 'previous', 'panic', 'reset', 'hardStop'].includes(command)) {
             // Small delay to allow QLab to process the command before querying
             setTimeout(() => {
                 updateAllClientsCueInfo();
@@ -2012,7 +4101,7 @@ app.post('/api/command/:command', async (req, res) => {
                 // Also update volume info when cue changes
                 if (['next', 'previous'].includes(command)) {
                     setTimeout(() => {
-                        updateVolumeInfoForAllClients(clientData.workspaceId);
+                        updateVolumeInfoForAllClients(clientData.workspaceKey);
                     }, 200); // Extra delay for volume info
                 }
             }, 100);
@@ -2025,9 +4114,7 @@ app.post('/api/command/:command', async (req, res) => {
         });
     } catch (error) {
         const latencyMs = Date.now() - startTime;
-        commandsSent++;
-        totalLatencyMs += latencyMs;
-        errorCount++;
+        recordCommand({ clientId, workspaceId: clientData.workspaceId, command, latencyMs, success: false, error: error.message });
         
         logger.error(`Error sending command ${command}: ${error.message}`);
         res.json({
@@ -2046,7 +4133,7 @@ app.get('/api/cue_info', async (req, res) => {
         return res.json({ success: false, error: "Not connected to any QLab instance" });
     }
     
-    const workspaceClient = getWorkspaceClient(clientData.workspaceId);
+    const workspaceClient = getWorkspaceClient(clientData.workspaceKey);
     if (!workspaceClient) {
         return res.json({ success: false, error: "Workspace connection not found" });
     }
@@ -2078,6 +4165,85 @@ app.get('/api/cue_info', async (req, res) => {
     }
 });
 
+app.get('/api/running_cues', async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const workspaceClient = getWorkspaceClient(clientData.workspaceKey);
+    if (!workspaceClient) {
+        return res.json({ success: false, error: "Workspace connection not found" });
+    }
+    
+    try {
+        const cues = await workspaceClient.client.getRunningCues();
+        if (cues.length > 0) {
+            // Keep pushing updates while these play
+            workspaceClient.watchRunningCues();
+        }
+        res.json({
+            success: true,
+            workspace_id: clientData.workspaceId,
+            cues: cues,
+            paused: cues.length > 0 && cues.every(cue => cue.paused)
+        });
+    } catch (error) {
+        logger.error(`Error getting running cues: ${error.message}`);
+        res.json({
+            success: false,
+            error: "Failed to get running cues"
+        });
+    }
+});
+
+// Per-cue actions (stop, pause, resume) from the running cues panel
+// Run a per-cue action for a workspace - shared by the HTTP route and the cueCommand socket event
+async function runCueAction(clientId, workspaceKey, cueId, action) {
+    if (!CUE_ACTIONS.includes(action)) {
+        return { success: false, error: `Unknown cue action: ${action}` };
+    }
+    
+    const client = getWorkspaceClient(workspaceKey);
+    if (!client) {
+        return { success: false, error: "Workspace connection lost" };
+    }
+    
+    // QLab doesn't answer fire-and-forget cue commands, so catch unknown IDs from the cache
+    if (client.getCachedCueList().length > 0 && !client.findCachedCue(cueId)) {
+        return { success: false, error: `Cue not found: ${cueId}` };
+    }
+    
+    setContextCommand(`cue_${action}`);
+    const startTime = Date.now();
+    const success = await client.sendCueCommand(cueId, action);
+    const latencyMs = Date.now() - startTime;
+    const error = success ? null : `Failed to ${action} cue`;
+    
+    // Update performance counters and the audit log
+    recordCommand({ clientId, workspaceId: client.workspaceId, command: `cue_${action}`, cueId, latencyMs, success, error });
+    
+    return {
+        success,
+        latency_ms: latencyMs,
+        error
+    };
+}
+
+app.post('/api/cues/:cueId/:action', requireRole('operator'), async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const { cueId, action } = req.params;
+    res.json(await runCueAction(clientId, clientData.workspaceKey, cueId, action));
+});
+
 app.get('/api/status', (req, res) => {
     const clientId = getClientId(req);
     const clientData = clientConnections.get(clientId);
@@ -2096,214 +4262,1551 @@ app.get('/api/status', (req, res) => {
         name: clientData.nextCue?.name || "Unnamed",
         type: clientData.nextCue?.type || "Unknown"
     };
-    const avg = commandsSent > 0 ? (totalLatencyMs / commandsSent) : 0.0;
-    const errRate = commandsSent > 0 ? (errorCount / commandsSent * 100.0) : 0.0;
+    // The per-command/workspace/client breakdown is at /api/performance
+    const { breakdown, ...performance } = getPerformanceSnapshot();
+    const workspaceClient = getWorkspaceClient(clientData.workspaceKey);
     res.json({
         success: true,
         current,
         next,
-        performance: {
-            average_latency: Math.round(avg * 10) / 10,
-            commands_sent: commandsSent,
-            error_rate: Math.round(errRate * 10) / 10
-        }
+        qlab_version: workspaceClient ? workspaceClient.client.qlabVersion : null,
+        paused: workspaceClient ? workspaceClient.isPaused() : false,
+        go_lockout: {
+            lockout_ms: GO_LOCKOUT_MS,
+            remaining_ms: workspaceClient ? workspaceClient.goLockoutRemaining() : 0
+        },
+        performance
     });
 });
 
-app.post('/api/skip', async (req, res) => {
-    const clientId = getClientId(req);
-    const clientData = clientConnections.get(clientId);
-    
-    if (!clientData || !clientData.workspaceId) {
-        return res.json({ success: false, error: "Not connected" });
+app.post('/api/skip', requireRole('operator'), async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected" });
+    }
+    
+    // Either a uniqueID ({ cue }) or a cue number typed on the keypad ({ number }); { go: true } fires it too
+    const cueId = req.body.cue;
+    const number = req.body.number !== undefined && req.body.number !== null ? String(req.body.number).trim() : '';
+    if (!cueId && !number) {
+        return res.json({ success: false, error: "No cue ID or number provided" });
+    }
+    
+    const wrapper = getWorkspaceClient(clientData.workspaceKey);
+    
+    if (!wrapper) {
+        return res.json({ success: false, error: "Workspace connection lost" });
+    }
+    
+    // Select-and-GO is refused as a whole while GO is locked out, so the selection doesn't move either
+    const respondLockedOut = () => {
+        const remainingMs = wrapper.goLockoutRemaining();
+        logger.info(`🔒 Select and GO from client ${clientId} ignored - locked out for another ${remainingMs}ms`);
+        auditCommand({ clientId, workspaceId: clientData.workspaceId, command: 'select_go', cueId: cueId || number, result: 'locked_out' });
+        return res.json({
+            success: false,
+            go_locked: true,
+            remaining_ms: remainingMs,
+            error: `GO locked out for another ${remainingMs}ms`
+        });
+    };
+    if (req.body.go && wrapper.goLockoutRemaining() > 0) {
+        return respondLockedOut();
+    }
+    setContextCommand(req.body.go ? 'select_go' : 'select');
+    const startTime = Date.now();
+    
+    try {
+        let success;
+        let selectedCueId = cueId || null;
+        let errorMsg = null;
+        if (cueId) {
+            success = await wrapper.skipToCue(cueId);
+        } else {
+            ({ success, cueId: selectedCueId, error: errorMsg } = await wrapper.skipToCueNumber(number));
+        }
+        
+        let fired = false;
+        if (success && req.body.go) {
+            // Only lock GO out once the cue is selected - a mistyped number shouldn't block every operator.
+            // Another GO may have got in while we were selecting
+            if (!wrapper.claimGo()) {
+                return respondLockedOut();
+            }
+            fired = await wrapper.play();
+            if (fired) {
+                wrapper.watchRunningCues();
+            } else {
+                errorMsg = "Cue selected but GO failed";
+            }
+        }
+        const latencyMs = Date.now() - startTime;
+        recordCommand({
+            clientId,
+            workspaceId: clientData.workspaceId,
+            command: req.body.go ? 'select_go' : 'select',
+            cueId: selectedCueId || number,
+            latencyMs,
+            success: success && (!req.body.go || fired),
+            error: errorMsg
+        });
+        
+        // Update cue info for all clients after successful cue selection
+        if (success) {
+            setTimeout(() => {
+                updateAllClientsCueInfo();
+                // Update volume info when cue selection changes
+                setTimeout(() => {
+                    updateVolumeInfoForAllClients(clientData.workspaceKey);
+                }, 200); // Extra delay for volume info
+            }, 100);
+        }
+        
+        res.json({
+            success: success && (!req.body.go || fired),
+            latency_ms: latencyMs,
+            cue_id: selectedCueId,
+            go: fired,
+            error: errorMsg
+        });
+    } catch (error) {
+        const latencyMs = Date.now() - startTime;
+        recordCommand({
+            clientId,
+            workspaceId: clientData.workspaceId,
+            command: req.body.go ? 'select_go' : 'select',
+            cueId: cueId || number,
+            latencyMs,
+            success: false,
+            error: error.message
+        });
+        logger.error(`Exception in skip endpoint: ${error.message}`);
+        res.json({
+            success: false,
+            latency_ms: latencyMs,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/cues', async (req, res) => {
+    const clientId = getClientId(req);
+    let clientData = clientConnections.get(clientId);
+    
+    // If client data doesn't exist, try to restore from any active workspace connection
+    if (!clientData || !clientData.workspaceId) {
+        // Check if there's an active workspace we can connect this client to
+        for (const [workspaceKey, connection] of workspacePool) {
+            if (connection.client && connection.refs > 0) {
+                logger.info(`Restoring client ${clientId} to active workspace ${workspaceKey}`);
+                // Create client data and add to workspace
+                clientData = {
+                    workspaceId: connection.client.workspaceId,
+                    workspaceKey: workspaceKey,
+                    selectedCue: { number: "", name: "" },
+                    nextCue: { number: "", name: "" }
+                };
+                clientConnections.set(clientId, clientData);
+                addClientToWorkspace(clientId, workspaceKey);
+                break;
+            }
+        }
+        
+        // If still no client data, return empty
+        if (!clientData || !clientData.workspaceId) {
+            return res.json({ cues: [] });
+        }
+    }
+    
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return res.json({ cues: [] });
+    }
+    
+    try {
+        const cues = await client.getAllCues();
+        // Optionally limit to one cue list (?cue_list_id=...)
+        const cueListId = req.query.cue_list_id;
+        res.json({ cues: cueListId ? cues.filter(cue => cue.cueListId === cueListId && cue.id !== cueListId) : cues });
+    } catch (error) {
+        logger.error(`Error getting cues for client ${clientId}: ${error.message}`);
+        res.json({ cues: [] });
+    }
+});
+
+// Nested cue hierarchy - optionally a single cue list (?cue_list_id=...)
+app.get('/api/cues/tree', async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const workspaceClient = getWorkspaceClient(clientData.workspaceKey);
+    if (!workspaceClient) {
+        return res.json({ success: false, error: "Workspace connection not found" });
+    }
+    
+    try {
+        const tree = await workspaceClient.getCueTree();
+        const cueListId = req.query.cue_list_id;
+        res.json({
+            success: true,
+            workspace_id: clientData.workspaceId,
+            cue_lists: cueListId ? tree.filter(cueList => cueList.id === cueListId) : tree
+        });
+    } catch (error) {
+        logger.error(`Error getting cue tree: ${error.message}`);
+        res.json({
+            success: false,
+            error: "Failed to get cue tree"
+        });
+    }
+});
+
+// How well one search term matches a field - 0 for no match. Whole-field and word-start matches
+// beat matches inside a word; loose matching (letters in order, "rnlp" -> "Rain loop") is opt-in
+function fuzzyMatchScore(term, text, loose) {
+    const haystack = String(text || '').toLowerCase();
+    if (!term || !haystack) return 0;
+    
+    const index = haystack.indexOf(term);
+    if (index !== -1) {
+        if (haystack === term) return 100;
+        return index === 0 || /[^a-z0-9]/.test(haystack[index - 1]) ? 80 : 60;
+    }
+    if (!loose) return 0;
+    
+    let position = -1;
+    let gaps = 0;
+    for (const char of term) {
+        const next = haystack.indexOf(char, position + 1);
+        if (next === -1) return 0;
+        if (position !== -1) gaps += next - position - 1;
+        position = next;
+    }
+    return Math.max(1, 40 - gaps * 2);
+}
+
+// Search a cue tree - every term has to match the number, name, notes or type of a cue
+function searchCueTree(tree, details, { terms, types, flagged, armed, broken, cueListTypes }) {
+    const matches = [];
+    const walk = (nodes, cueList, parent) => nodes.forEach(node => {
+        const isCueList = cueListTypes.includes(node.type);
+        const nodeDetails = details.get(node.id) || { notes: '', broken: false };
+        
+        if (!isCueList &&
+            (types.length === 0 || types.includes(node.type.toLowerCase())) &&
+            (flagged === null || node.flagged === flagged) &&
+            (armed === null || node.armed === armed) &&
+            (broken === null || nodeDetails.broken === broken)) {
+            let score = 0;
+            const matchedFields = new Set();
+            const allTermsMatch = terms.every(term => {
+                const fieldScores = {
+                    number: fuzzyMatchScore(term, node.number, false) * 1.2,
+                    name: fuzzyMatchScore(term, node.name, true),
+                    notes: fuzzyMatchScore(term, nodeDetails.notes, false) * 0.5,
+                    type: fuzzyMatchScore(term, node.type, false) * 0.5
+                };
+                const best = Math.max(...Object.values(fieldScores));
+                Object.keys(fieldScores).forEach(field => {
+                    if (fieldScores[field] > 0) matchedFields.add(field);
+                });
+                score += best;
+                return best > 0;
+            });
+            
+            if (allTermsMatch) {
+                matches.push({
+                    cueList,
+                    score: Math.round(score * 10) / 10,
+                    cue: {
+                        id: node.id,
+                        number: node.number,
+                        name: node.name,
+                        type: node.type,
+                        colorName: node.colorName,
+                        flagged: node.flagged,
+                        armed: node.armed,
+                        broken: nodeDetails.broken,
+                        notes: nodeDetails.notes.length > 120 ? `${nodeDetails.notes.slice(0, 117)}...` : nodeDetails.notes,
+                        parent_id: parent && !cueListTypes.includes(parent.type) ? parent.id : null,
+                        parent_name: parent && !cueListTypes.includes(parent.type) ? parent.name : null,
+                        matched: Array.from(matchedFields)
+                    }
+                });
+            }
+        }
+        walk(node.children, cueList || (isCueList ? node : null), node);
+    });
+    walk(tree, null, null);
+    return matches;
+}
+
+// "true"/"false" (or 1/0) query filters - null when absent, undefined when unreadable
+function parseBooleanFilter(value) {
+    if (value === undefined || value === '') return null;
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+    return undefined;
+}
+
+// Fuzzy cue search: ?q=...&type=Audio,Video&flagged=true&armed=false&broken=true&limit=50
+// Results are grouped by cue list, best matches first within each list
+app.get('/api/cues/search', async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const workspaceClient = getWorkspaceClient(clientData.workspaceKey);
+    if (!workspaceClient) {
+        return res.json({ success: false, error: "Workspace connection not found" });
+    }
+    
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const types = req.query.type
+        ? String(req.query.type).split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+        : [];
+    const filters = {};
+    for (const name of ['flagged', 'armed', 'broken']) {
+        filters[name] = parseBooleanFilter(req.query[name]);
+        if (filters[name] === undefined) {
+            return res.json({ success: false, error: `Invalid ${name} filter: use true or false` });
+        }
+    }
+    if (terms.length === 0 && types.length === 0 && Object.values(filters).every(value => value === null)) {
+        return res.json({ success: false, error: "Enter a search term or choose a filter" });
+    }
+    
+    const limit = Math.min(CUE_SEARCH_MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || CUE_SEARCH_DEFAULT_LIMIT));
+    const startTime = Date.now();
+    
+    try {
+        const tree = await workspaceClient.getCueTree();
+        
+        // Notes and broken state are only needed when searching text or filtering on broken
+        if (terms.length > 0 || filters.broken !== null) {
+            await workspaceClient.loadCueSearchDetails(tree);
+        }
+        
+        const matches = searchCueTree(tree, workspaceClient.cueSearchDetails, {
+            terms,
+            types,
+            ...filters,
+            cueListTypes: workspaceClient.client.dialect.cueListTypes
+        });
+        
+        // Keep the best matches, then show them under their cue lists in workspace order
+        const kept = matches.slice().sort((a, b) => b.score - a.score).slice(0, limit);
+        const cueLists = [];
+        for (const cueList of tree) {
+            const results = kept.filter(match => match.cueList === cueList)
+                .map(match => ({ ...match.cue, score: match.score }));
+            if (results.length > 0) {
+                cueLists.push({ id: cueList.id, name: cueList.name, results });
+            }
+        }
+        
+        res.json({
+            success: true,
+            workspace_id: clientData.workspaceId,
+            latency_ms: Date.now() - startTime,
+            query,
+            total: matches.length,
+            truncated: matches.length > kept.length,
+            cue_lists: cueLists
+        });
+    } catch (error) {
+        logger.error(`Error searching cues: ${error.message}`);
+        res.json({
+            success: false,
+            error: "Failed to search cues"
+        });
+    }
+});
+
+// Check a PATCH /api/cues/:cueId body - returns the QLab-ready values and per-field errors
+function validateCueChanges(body, dialect) {
+    const changes = {};
+    const errors = {};
+    
+    for (const [field, value] of Object.entries(body || {})) {
+        if (!EDITABLE_CUE_PROPERTIES.includes(field)) {
+            errors[field] = `${field} is not an editable cue property`;
+            continue;
+        }
+        
+        switch (field) {
+            case 'name':
+            case 'notes':
+                if (typeof value !== 'string') {
+                    errors[field] = `${field} must be a string`;
+                } else {
+                    changes[field] = field === 'name' ? value.trim() : value;
+                }
+                break;
+            case 'number':
+                if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+                    errors[field] = 'number must be a string or a number';
+                } else {
+                    changes[field] = String(value).trim();
+                }
+                break;
+            case 'preWait':
+            case 'postWait':
+            case 'duration': {
+                const seconds = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+                    errors[field] = `${field} must be a number of seconds, 0 or more`;
+                } else {
+                    changes[field] = seconds;
+                }
+                break;
+            }
+            case 'continueMode': {
+                const mode = typeof value === 'string' ? CUE_CONTINUE_MODES[value] : value;
+                if (!Object.values(CUE_CONTINUE_MODES).includes(mode)) {
+                    errors[field] = `continueMode must be one of ${Object.keys(CUE_CONTINUE_MODES).join(', ')} (or 0-2)`;
+                } else {
+                    changes[field] = mode;
+                }
+                break;
+            }
+            case 'colorName': {
+                const color = typeof value === 'string' ? value.trim().toLowerCase() : null;
+                if (!dialect.cueColors.includes(color)) {
+                    errors[field] = `colorName must be one of ${dialect.cueColors.join(', ')}`;
+                } else {
+                    changes[field] = color;
+                }
+                break;
+            }
+            case 'armed':
+                if (typeof value === 'boolean') {
+                    changes[field] = value;
+                } else if (value === 0 || value === 1 || value === 'true' || value === 'false') {
+                    changes[field] = value === 1 || value === 'true';
+                } else {
+                    errors[field] = 'armed must be true or false';
+                }
+                break;
+        }
+    }
+    
+    return { changes, errors };
+}
+
+// Whether QLab took a property change, comparing with the cue read back afterwards
+function cuePropertyMatches(cue, field, value) {
+    if (typeof value === 'number') {
+        return Math.abs(Number(cue[field]) - value) < 0.001;
+    }
+    if (field === 'number' && value === '') {
+        return cue.number === '--' || cue.number === '';
+    }
+    if (field === 'name' && value === '') {
+        // Clearing the name is always allowed - QLab then shows a generated display name, not ''
+        return true;
+    }
+    return cue[field] === value;
+}
+
+app.get('/api/cues/:cueId', async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return res.json({ success: false, error: "Workspace connection lost" });
+    }
+    
+    try {
+        const cue = await client.client.getCueById(req.params.cueId);
+        if (!cue) {
+            return res.json({ success: false, error: `Cue not found: ${req.params.cueId}` });
+        }
+        res.json({
+            success: true,
+            workspace_id: clientData.workspaceId,
+            cue,
+            cue_colors: client.client.dialect.cueColors
+        });
+    } catch (error) {
+        logger.error(`Error getting cue ${req.params.cueId}: ${error.message}`);
+        res.json({ success: false, error: `Cue not found: ${req.params.cueId}` });
+    }
+});
+
+app.patch('/api/cues/:cueId', requireRole('admin'), async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return res.json({ success: false, error: "Workspace connection lost" });
+    }
+    
+    const { cueId } = req.params;
+    const { changes, errors } = validateCueChanges(req.body, client.client.dialect);
+    if (Object.keys(errors).length > 0) {
+        return res.json({ success: false, error: Object.values(errors).join('; '), errors });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.json({ success: false, error: `Nothing to change - editable properties are ${EDITABLE_CUE_PROPERTIES.join(', ')}` });
+    }
+    
+    setContextCommand('edit');
+    const startTime = Date.now();
+    try {
+        const current = await client.client.getCueById(cueId).catch(() => null);
+        if (!current) {
+            return res.json({ success: false, error: `Cue not found: ${cueId}` });
+        }
+        
+        // QLab silently ignores a cue number that is already in use
+        if (changes.number && changes.number !== current.number) {
+            const cues = await client.getAllCues();
+            const clash = cues.find(cue => cue.number === changes.number && cue.id !== cueId);
+            if (clash) {
+                const error = `Cue number ${changes.number} is already used by "${clash.originalName}"`;
+                return res.json({ success: false, error, errors: { number: error } });
+            }
+        }
+        
+        await client.client.setCueProperties(cueId, changes);
+        
+        // Read the cue back - patches globalCueCache and sends cueUpdated to the workspace's clients
+        const cue = await refreshCachedCue(clientData.workspaceKey, cueId);
+        const latencyMs = Date.now() - startTime;
+        
+        if (!cue) {
+            recordCommand({ clientId, workspaceId: clientData.workspaceId, command: 'edit', cueId, latencyMs, success: false, error: `Cue not found: ${cueId}` });
+            return res.json({ success: false, latency_ms: latencyMs, error: `Cue not found: ${cueId}` });
+        }
+        
+        // Some properties are read-only for some cue types (e.g. an Audio cue's duration)
+        const rejected = Object.keys(changes).filter(field => !cuePropertyMatches(cue, field, changes[field]));
+        const errorMsg = rejected.length > 0 ? `QLab did not accept: ${rejected.join(', ')}` : null;
+        recordCommand({ clientId, workspaceId: clientData.workspaceId, command: 'edit', cueId, latencyMs, success: rejected.length === 0, error: errorMsg });
+        
+        res.json({
+            success: rejected.length === 0,
+            latency_ms: latencyMs,
+            cue,
+            rejected_fields: rejected,
+            error: errorMsg
+        });
+    } catch (error) {
+        recordCommand({ clientId, workspaceId: clientData.workspaceId, command: 'edit', cueId, success: false, error: error.message });
+        logger.error(`Error editing cue ${cueId}: ${error.message}`);
+        res.json({ success: false, error: `Failed to edit cue: ${error.message}` });
+    }
+});
+
+app.get('/api/cuelists', async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const workspaceClient = getWorkspaceClient(clientData.workspaceKey);
+    if (!workspaceClient) {
+        return res.json({ success: false, error: "Workspace connection not found" });
+    }
+    
+    try {
+        const cueLists = await workspaceClient.client.getCueLists();
+        const selectedCue = await workspaceClient.client.getSelectedCue();
+        const currentList = selectedCue && selectedCue.id
+            ? cueLists.find(cueList => cueList.cueIds.includes(selectedCue.id))
+            : null;
+        
+        res.json({
+            success: true,
+            workspace_id: clientData.workspaceId,
+            current_cue_list_id: currentList ? currentList.id : null,
+            cue_lists: cueLists.map(cueList => ({
+                id: cueList.id,
+                number: cueList.number,
+                name: cueList.name,
+                type: cueList.type,
+                cue_count: cueList.cueIds.length
+            }))
+        });
+    } catch (error) {
+        logger.error(`Error getting cue lists: ${error.message}`);
+        res.json({
+            success: false,
+            error: "Failed to get cue lists"
+        });
+    }
+});
+
+// Slider index for a level channel name: "master" is 0, "channelN", "chN" and "outputN" are output N
+function parseLevelChannel(channel) {
+    const name = String(channel).toLowerCase();
+    if (name === 'master') return 0;
+    const outputMatch = name.match(/^(?:channel|ch|output)(\d+)$/);
+    return outputMatch && parseInt(outputMatch[1]) >= 1 ? parseInt(outputMatch[1]) : null;
+}
+
+// Level in dB part way (0-1) through a fade. Linear and S-curve move evenly in dB; equal-power
+// moves the amplitude along a quarter sine so the loudness change sounds even
+function fadeLevelAt(from, to, progress, curve) {
+    if (progress >= 1) return to;
+    
+    switch (curve) {
+        case 's_curve': {
+            const eased = progress * progress * (3 - 2 * progress);
+            return from + (to - from) * eased;
+        }
+        case 'equal_power': {
+            // -60dB is silence in QLab
+            const gainFrom = from <= -60 ? 0 : Math.pow(10, from / 20);
+            const gainTo = to <= -60 ? 0 : Math.pow(10, to / 20);
+            const gain = gainTo < gainFrom
+                ? gainTo + (gainFrom - gainTo) * Math.cos(progress * Math.PI / 2)
+                : gainFrom + (gainTo - gainFrom) * Math.sin(progress * Math.PI / 2);
+            return gain > 0 ? Math.max(-60, 20 * Math.log10(gain)) : -60;
+        }
+        default:
+            return from + (to - from) * progress;
+    }
+}
+
+// Start a fade for a route - the target cue defaults to the selected one
+async function startFadeForClient(clientId, clientData, { cueId, channel, level, duration, curve, stopWhenDone }) {
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return { success: false, error: "Workspace connection lost" };
+    }
+    
+    const channelIndex = parseLevelChannel(channel);
+    if (channelIndex === null) {
+        return { success: false, error: `Invalid channel: ${channel}` };
+    }
+    if (typeof level !== 'number' || !Number.isFinite(level)) {
+        return { success: false, error: "Level must be a number of dB" };
+    }
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0 || duration > FADE_MAX_DURATION_S) {
+        return { success: false, error: `Duration must be between 0 and ${FADE_MAX_DURATION_S} seconds` };
+    }
+    if (!FADE_CURVES.includes(curve)) {
+        return { success: false, error: `Curve must be one of ${FADE_CURVES.join(', ')}` };
+    }
+    
+    setContextCommand(stopWhenDone ? 'fade_out' : 'fade');
+    if (!cueId) {
+        const selectedCue = await client.client.getSelectedCue();
+        if (!selectedCue || !selectedCue.id) {
+            return { success: false, error: "No cue selected" };
+        }
+        cueId = selectedCue.id;
+    }
+    
+    const startTime = Date.now();
+    try {
+        const fade = await client.startFade(cueId, channelIndex, level, Math.round(duration * 1000), curve, stopWhenDone);
+        const latencyMs = Date.now() - startTime;
+        recordCommand({ clientId, workspaceId: clientData.workspaceId, command: stopWhenDone ? 'fade_out' : 'fade', cueId, latencyMs, success: true });
+        return {
+            success: true,
+            latency_ms: latencyMs,
+            fade_id: fade.id,
+            cue_id: cueId,
+            channel: channelIndex === 0 ? 'master' : `channel${channelIndex}`,
+            from: fade.from,
+            to: fade.to,
+            duration_ms: fade.durationMs,
+            curve
+        };
+    } catch (error) {
+        recordCommand({ clientId, workspaceId: clientData.workspaceId, command: stopWhenDone ? 'fade_out' : 'fade', cueId, success: false, error: error.message });
+        logger.error(`Error starting fade on cue ${cueId}: ${error.message}`);
+        return { success: false, error: `Failed to start fade: ${error.message}` };
+    }
+}
+
+// Fade a slider of a cue: { channel, level, duration (seconds), curve, cue_id }
+app.post('/api/fade', requireRole('admin'), async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const { channel = 'master', level, duration, curve = 'linear', cue_id: cueId } = req.body;
+    res.json(await startFadeForClient(clientId, clientData, { cueId, channel, level, duration, curve, stopWhenDone: false }));
+});
+
+// Fade a cue's master out and stop it: { duration (seconds), curve, cue_id }
+app.post('/api/fade_out', requireRole('admin'), async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const { duration = 3, curve = 'equal_power', cue_id: cueId } = req.body;
+    res.json(await startFadeForClient(clientId, clientData, { cueId, channel: 'master', level: -60, duration, curve, stopWhenDone: true }));
+});
+
+// Cancel running fades - all of them, or only those on a cue and/or channel
+app.post('/api/fade/cancel', requireRole('admin'), (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return res.json({ success: false, error: "Workspace connection lost" });
+    }
+    
+    const { cue_id: cueId, channel } = req.body;
+    const channelIndex = channel !== undefined ? parseLevelChannel(channel) : null;
+    if (channel !== undefined && channelIndex === null) {
+        return res.json({ success: false, error: `Invalid channel: ${channel}` });
+    }
+    
+    const cancelled = client.cancelFades(fade =>
+        (!cueId || fade.cueId === cueId) && (channelIndex === null || fade.channelIndex === channelIndex));
+    res.json({ success: true, cancelled });
+});
+
+// Volume Control Endpoints
+app.get('/api/audio_levels', async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ 
+            success: false, 
+            error: "Not connected to any QLab instance",
+            levels: { master: 0, channel1: 0, channel2: 0, outputs: 0, inputs: 0, matrix: [], available: false }
+        });
+    }
+    
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return res.json({ 
+            success: false, 
+            error: "Workspace connection lost",
+            levels: { master: 0, channel1: 0, channel2: 0, outputs: 0, inputs: 0, matrix: [], available: false }
+        });
+    }
+    
+    try {
+        const levels = await client.getAudioLevels();
+        res.json({
+            success: true,
+            levels: levels
+        });
+    } catch (error) {
+        logger.error(`Error getting audio levels: ${error.message}`);
+        res.json({
+            success: false,
+            error: error.message,
+            levels: { master: 0, channel1: 0, channel2: 0, outputs: 0, inputs: 0, matrix: [], available: false }
+        });
+    }
+});
+
+app.post('/api/audio_level', requireRole('admin'), async (req, res) => {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    }
+    
+    // Either { channel, level } for an output slider or { input, output, level } for a crosspoint
+    const { channel, input, output, level } = req.body;
+    const crosspoint = input !== undefined || output !== undefined;
+    if ((!crosspoint && !channel) || level === undefined) {
+        return res.json({ success: false, error: "Missing channel or level parameter" });
+    }
+    if (typeof level !== 'number' || !Number.isFinite(level)) {
+        return res.json({ success: false, error: "Level must be a number of dB" });
+    }
+    if (crosspoint && !(Number.isInteger(input) && input >= 0 && Number.isInteger(output) && output >= 0)) {
+        return res.json({ success: false, error: "Crosspoint input and output must be whole numbers, 0 or more" });
+    }
+    
+    const client = getWorkspaceClient(clientData.workspaceKey);
+    if (!client) {
+        return res.json({ success: false, error: "Workspace connection lost" });
+    }
+    
+    try {
+        // Moving a slider by hand takes over from a fade running on it
+        if (!crosspoint && parseLevelChannel(channel) !== null) {
+            const selectedCue = await client.client.getSelectedCue();
+            if (selectedCue && selectedCue.id) {
+                client.cancelFades(fade => fade.cueId === selectedCue.id && fade.channelIndex === parseLevelChannel(channel));
+            }
+        }
+        
+        const startTime = Date.now();
+        const success = crosspoint
+            ? await client.setCrosspointLevel(input, output, level)
+            : await client.setAudioLevel(channel, level);
+        
+        // Slider moves are logged but not counted - dragging would swamp the command metrics
+        auditCommand({
+            clientId,
+            workspaceId: clientData.workspaceId,
+            command: `audio_level ${crosspoint ? `${input}x${output}` : channel} ${level}dB`,
+            latencyMs: Date.now() - startTime,
+            result: success ? 'ok' : 'failed'
+        });
+        
+        if (success) {
+            // Broadcast volume change to all connected clients for this workspace
+            setTimeout(() => {
+                updateVolumeInfoForAllClients(clientData.workspaceKey);
+            }, 100); // Small delay to allow QLab to process the change
+        }
+        
+        const target = crosspoint ? `Crosspoint ${input}x${output}` : channel;
+        res.json({
+            success,
+            message: success ? `${target} level set to ${level}dB` : 'Failed to set audio level'
+        });
+    } catch (error) {
+        logger.error(`Error setting audio level: ${error.message}`);
+        res.json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Level Snapshots - saved sliderLevel values for a set of cues, one JSON file per workspace
+const snapshotWrites = new Map(); // workspaceId -> promise of the last queued write
+
+function snapshotFilePath(workspaceId) {
+    return path.join(LEVEL_SNAPSHOTS_DIR, `${String(workspaceId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+async function loadLevelSnapshots(workspaceId) {
+    try {
+        const data = JSON.parse(await fs.promises.readFile(snapshotFilePath(workspaceId), 'utf8'));
+        return Array.isArray(data.snapshots) ? data.snapshots : [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not read level snapshots for workspace ${workspaceId}: ${error.message}`);
+        }
+        return [];
+    }
+}
+
+// Read-modify-write under a per-workspace queue so concurrent saves don't drop each other
+function updateLevelSnapshots(workspaceId, update) {
+    const previous = snapshotWrites.get(workspaceId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const snapshots = await loadLevelSnapshots(workspaceId);
+        const result = update(snapshots);
+        
+        // Write to a temp file and rename it over the old one so a crash never leaves half a file
+        const file = snapshotFilePath(workspaceId);
+        await fs.promises.mkdir(LEVEL_SNAPSHOTS_DIR, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ workspace_id: workspaceId, snapshots }, null, 2));
+        await fs.promises.rename(`${file}.tmp`, file);
+        return result;
+    });
+    
+    snapshotWrites.set(workspaceId, next);
+    next.finally(() => {
+        if (snapshotWrites.get(workspaceId) === next) {
+            snapshotWrites.delete(workspaceId);
+        }
+    }).catch(() => {});
+    return next;
+}
+
+function describeSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        name: snapshot.name,
+        created_at: snapshot.created_at,
+        cue_count: snapshot.cues.length
+    };
+}
+
+function snapshotChannelName(index) {
+    return index === 0 ? 'master' : `channel${index}`;
+}
+
+// Resolve the client, its workspace connection and (optionally) one snapshot for a snapshot route
+async function getSnapshotContext(req) {
+    const clientId = getClientId(req);
+    const clientData = clientConnections.get(clientId);
+    
+    if (!clientData || !clientData.workspaceId) {
+        return { error: "Not connected to any QLab instance" };
+    }
+    
+    const wrapper = getWorkspaceClient(clientData.workspaceKey);
+    if (!wrapper) {
+        return { error: "Workspace connection lost" };
+    }
+    
+    const context = { workspaceId: clientData.workspaceId, workspaceKey: clientData.workspaceKey, wrapper };
+    if (req.params.snapshotId) {
+        const snapshots = await loadLevelSnapshots(clientData.workspaceId);
+        context.snapshot = snapshots.find(snapshot => snapshot.id === req.params.snapshotId);
+        if (!context.snapshot) {
+            return { error: "Snapshot not found" };
+        }
+    }
+    return context;
+}
+
+app.get('/api/snapshots', async (req, res) => {
+    const context = await getSnapshotContext(req);
+    if (context.error) {
+        return res.json({ success: false, error: context.error });
+    }
+    
+    const snapshots = await loadLevelSnapshots(context.workspaceId);
+    res.json({
+        success: true,
+        workspace_id: context.workspaceId,
+        snapshots: snapshots.map(describeSnapshot)
+    });
+});
+
+// Save the current sliders of a set of cues: { name, cue_ids: [...] }
+app.post('/api/snapshots', requireRole('admin'), async (req, res) => {
+    const context = await getSnapshotContext(req);
+    if (context.error) {
+        return res.json({ success: false, error: context.error });
+    }
+    
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const cueIds = Array.isArray(req.body.cue_ids) ? [...new Set(req.body.cue_ids.map(String))] : [];
+    if (!name) {
+        return res.json({ success: false, error: "Snapshot name is required" });
+    }
+    if (cueIds.length === 0) {
+        return res.json({ success: false, error: "cue_ids must list at least one cue" });
+    }
+    
+    const startTime = Date.now();
+    const cachedCues = new Map(context.wrapper.getCachedCueList().map(cue => [cue.id, cue]));
+    const cues = [];
+    const skipped = [];
+    
+    // One cue at a time - QLab drops replies when flooded
+    for (const cueId of cueIds) {
+        const levels = await context.wrapper.client.getCueSliderLevels(cueId);
+        if (!levels) {
+            skipped.push(cueId);
+            continue;
+        }
+        const cached = cachedCues.get(cueId) || {};
+        cues.push({
+            id: cueId,
+            number: cached.number && cached.number !== '--' ? cached.number : '',
+            name: cached.originalName || '',
+            levels
+        });
+    }
+    
+    if (cues.length === 0) {
+        return res.json({ success: false, error: "None of the cues have audio levels", skipped_cues: skipped });
+    }
+    
+    const snapshot = { id: crypto.randomUUID(), name, created_at: new Date().toISOString(), cues };
+    try {
+        await updateLevelSnapshots(context.workspaceId, snapshots => snapshots.push(snapshot));
+    } catch (error) {
+        logger.error(`Failed to save level snapshot "${name}": ${error.message}`);
+        return res.json({ success: false, error: `Failed to save snapshot: ${error.message}` });
+    }
+    
+    logger.info(`📸 Saved level snapshot "${name}" with ${cues.length} cue(s) for workspace ${context.workspaceId}`);
+    res.json({
+        success: true,
+        latency_ms: Date.now() - startTime,
+        snapshot: describeSnapshot(snapshot),
+        skipped_cues: skipped
+    });
+});
+
+app.get('/api/snapshots/:snapshotId', async (req, res) => {
+    const context = await getSnapshotContext(req);
+    if (context.error) {
+        return res.json({ success: false, error: context.error });
+    }
+    res.json({ success: true, workspace_id: context.workspaceId, snapshot: context.snapshot });
+});
+
+// Saved against current sliders, per cue - only channels that differ are listed
+app.get('/api/snapshots/:snapshotId/compare', async (req, res) => {
+    const context = await getSnapshotContext(req);
+    if (context.error) {
+        return res.json({ success: false, error: context.error });
+    }
+    
+    const startTime = Date.now();
+    const cues = [];
+    for (const saved of context.snapshot.cues) {
+        const current = await context.wrapper.client.getCueSliderLevels(saved.id);
+        if (!current) {
+            cues.push({ id: saved.id, number: saved.number, name: saved.name, missing: true, changed: false, sliders: [] });
+            continue;
+        }
+        
+        const sliders = [];
+        saved.levels.forEach((level, index) => {
+            if (current[index] !== undefined && current[index] !== level) {
+                sliders.push({
+                    channel: snapshotChannelName(index),
+                    saved: level,
+                    current: current[index],
+                    diff: Math.round((current[index] - level) * 10) / 10
+                });
+            }
+        });
+        cues.push({ id: saved.id, number: saved.number, name: saved.name, missing: false, changed: sliders.length > 0, sliders });
+    }
+    
+    res.json({
+        success: true,
+        latency_ms: Date.now() - startTime,
+        snapshot: describeSnapshot(context.snapshot),
+        changed_count: cues.filter(cue => cue.changed).length,
+        cues
+    });
+});
+
+// Put the saved sliders back: { cue_ids } limits the restore to some of the snapshot's cues
+app.post('/api/snapshots/:snapshotId/restore', requireRole('admin'), async (req, res) => {
+    const context = await getSnapshotContext(req);
+    if (context.error) {
+        return res.json({ success: false, error: context.error });
+    }
+    
+    const only = Array.isArray(req.body.cue_ids) ? new Set(req.body.cue_ids.map(String)) : null;
+    const targets = context.snapshot.cues.filter(cue => !only || only.has(cue.id));
+    if (targets.length === 0) {
+        return res.json({ success: false, error: "None of the requested cues are in this snapshot" });
+    }
+    
+    const startTime = Date.now();
+    const { wrapper } = context;
+    const restored = [];
+    const missing = [];
+    let slidersSet = 0;
+    let slidersFailed = 0;
+    
+    for (const saved of targets) {
+        // A running fade would immediately move the slider away again
+        wrapper.cancelFades(fade => fade.cueId === saved.id);
+        
+        const current = await wrapper.client.getCueSliderLevels(saved.id);
+        if (!current) {
+            missing.push(saved.id);
+            continue;
+        }
+        
+        // One slider at a time, so QLab isn't sent the whole snapshot at once
+        for (const [index, level] of saved.levels.entries()) {
+            if (current[index] === undefined || current[index] === level) {
+                continue;
+            }
+            commandsSent++;
+            if (await wrapper.client.setSliderLevel(saved.id, index, level)) {
+                slidersSet++;
+            } else {
+                slidersFailed++;
+                errorCount++;
+            }
+        }
+        restored.push(saved.id);
+    }
+    
+    wrapper.client.invalidateCache();
+    updateVolumeInfoForAllClients(context.workspaceKey);
+    
+    logger.info(`📸 Restored level snapshot "${context.snapshot.name}" - ${slidersSet} slider(s) on ${restored.length} cue(s)`);
+    if (slidersFailed > 0) {
+        logger.warn(`📸 ${slidersFailed} slider(s) could not be set while restoring "${context.snapshot.name}"`);
+    }
+    
+    const success = missing.length < targets.length && slidersFailed === 0;
+    let error;
+    if (missing.length === targets.length) {
+        error = "None of the snapshot's cues are available";
+    } else if (slidersFailed > 0) {
+        error = `${slidersFailed} slider(s) could not be set`;
+    }
+    const latencyMs = Date.now() - startTime;
+    // The slider moves were counted above - the log gets one entry for the whole restore
+    auditCommand({
+        clientId: getClientId(req),
+        workspaceId: context.workspaceId,
+        command: `snapshot_restore ${context.snapshot.id}`,
+        latencyMs,
+        result: success ? 'ok' : 'failed',
+        error: error || (missing.length > 0 ? `${missing.length} cue(s) missing` : null)
+    });
+    res.json({
+        success,
+        latency_ms: latencyMs,
+        restored_cues: restored,
+        missing_cues: missing,
+        sliders_set: slidersSet,
+        sliders_failed: slidersFailed,
+        error
+    });
+});
+
+app.delete('/api/snapshots/:snapshotId', requireRole('admin'), async (req, res) => {
+    const context = await getSnapshotContext(req);
+    if (context.error) {
+        return res.json({ success: false, error: context.error });
+    }
+    
+    try {
+        await updateLevelSnapshots(context.workspaceId, snapshots => {
+            const index = snapshots.findIndex(snapshot => snapshot.id === context.snapshot.id);
+            if (index !== -1) snapshots.splice(index, 1);
+        });
+    } catch (error) {
+        logger.error(`Failed to delete level snapshot "${context.snapshot.name}": ${error.message}`);
+        return res.json({ success: false, error: `Failed to delete snapshot: ${error.message}` });
+    }
+    
+    logger.info(`🗑️ Deleted level snapshot "${context.snapshot.name}" for workspace ${context.workspaceId}`);
+    res.json({ success: true });
+});
+
+// Latency breakdown - per command type, workspace and client, pushed to the UI with the 'performance' event
+let performanceBroadcastTimer = null;
+
+function latencyStatsFor(dimension, key) {
+    const stats = latencyStats[dimension];
+    let entry = stats.get(key);
+    if (!entry) {
+        entry = new LatencyStats();
+        stats.set(key, entry);
+        if (stats.size > LATENCY_MAX_ENTRIES[dimension]) {
+            stats.delete(stats.keys().next().value);
+        }
+    }
+    return entry;
+}
+
+function resetLatencyStats() {
+    latencyStats.all = new LatencyStats();
+    latencyStats.command.clear();
+    latencyStats.workspace.clear();
+    latencyStats.client.clear();
+}
+
+// The client and command an OSC request is sent for - null for background work
+function currentCommandContext() {
+    const context = commandContext.getStore();
+    return context && !context.finished ? { clientId: context.clientId, command: context.command } : null;
+}
+
+// Label the command an OSC request belongs to - called by command routes before they talk to QLab
+function setContextCommand(command) {
+    const context = commandContext.getStore();
+    if (context) {
+        context.command = command;
+    }
+}
+
+// OSC method of an address, without the workspace, cue number and ID parts -
+// /select/12 is "select" and /workspace/{id}/cue_id/{id}/valuesForKeys is "valuesForKeys"
+const OSC_ID_SLOTS = ['workspace', 'cue', 'cue_id', 'select', 'select_id', 'playhead', 'playheadId', 'sliderLevel'];
+
+function oscMethodName(address) {
+    const segments = address.split('/').filter(Boolean);
+    const method = segments.filter((segment, index) => index === 0 || !OSC_ID_SLOTS.includes(segments[index - 1]));
+    return method.length > 0 ? method[method.length - 1] : address;
+}
+
+// A reply that never came - an error, charged to the command, workspace and client that were waiting for it
+function recordOscTimeout(workspaceId, address, context) {
+    errorCount++;
+    latencyStats.all.timeouts++;
+    // Background requests (cue info, levels) are grouped by OSC method
+    const command = context && context.command ? context.command : `osc ${oscMethodName(address)}`;
+    latencyStatsFor('command', command).timeouts++;
+    if (workspaceId) {
+        latencyStatsFor('workspace', workspaceId).timeouts++;
+    }
+    if (context && context.clientId) {
+        latencyStatsFor('client', context.clientId).timeouts++;
+    }
+    schedulePerformanceBroadcast();
+}
+
+function getPerformanceSnapshot() {
+    const avg = commandsSent > 0 ? (totalLatencyMs / commandsSent) : 0.0;
+    const errRate = commandsSent > 0 ? (errorCount / commandsSent * 100.0) : 0.0;
+    const overall = latencyStats.all.summary();
+    const rows = dimension => Array.from(latencyStats[dimension].entries()).map(([key, stats]) => ({
+        key,
+        ...(dimension === 'client' ? { device_name: stats.label } : {}),
+        ...stats.summary()
+    }));
+    
+    return {
+        average_latency: Math.round(avg * 10) / 10,
+        commands_sent: commandsSent,
+        error_rate: Math.round(errRate * 10) / 10,
+        osc_timeouts: overall.timeouts,
+        latency: {
+            p50_ms: overall.p50_ms,
+            p95_ms: overall.p95_ms,
+            p99_ms: overall.p99_ms,
+            max_ms: overall.max_ms,
+            window_size: LATENCY_WINDOW_SIZE
+        },
+        breakdown: {
+            command: rows('command'),
+            workspace: rows('workspace'),
+            client: rows('client')
+        }
+    };
+}
+
+// At most one push a second, however many commands come in
+function schedulePerformanceBroadcast() {
+    if (performanceBroadcastTimer) {
+        return;
+    }
+    performanceBroadcastTimer = setTimeout(() => {
+        performanceBroadcastTimer = null;
+        io.emit('performance', getPerformanceSnapshot());
+    }, 1000);
+}
+
+// Latency percentiles and timeouts, overall and broken down by command type, workspace and client
+app.get('/api/performance', (req, res) => {
+    res.json({ success: true, ...getPerformanceSnapshot() });
+});
+
+// Prometheus text exposition - label values escaped as the format requires
+function formatPrometheusLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
     }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function buildPrometheusMetrics() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([labels, value, suffix = '']) => {
+            lines.push(`${name}${suffix}${formatPrometheusLabels(labels)} ${value}`);
+        });
+    };
+    // Latencies are kept in ms - Prometheus convention is seconds
+    const histogram = (name, help, labelName, stats) => {
+        const samples = [];
+        for (const [key, entry] of stats) {
+            LATENCY_BUCKETS_MS.forEach((bound, index) => {
+                samples.push([{ [labelName]: key, le: bound / 1000 }, entry.bucketCounts[index], '_bucket']);
+            });
+            samples.push([{ [labelName]: key, le: '+Inf' }, entry.sampleCount, '_bucket']);
+            samples.push([{ [labelName]: key }, entry.sampleSum / 1000, '_sum']);
+            samples.push([{ [labelName]: key }, entry.sampleCount, '_count']);
+        }
+        metric(name, 'histogram', help, samples);
+    };
     
-    const cueId = req.body.cue;
-    if (!cueId) {
-        return res.json({ success: false, error: "No cue ID provided" });
-    }
+    metric('qoncommand_commands_total', 'counter', 'Commands sent to QLab since the metrics were last cleared', [[{}, commandsSent]]);
+    metric('qoncommand_command_errors_total', 'counter', 'Failed commands and OSC timeouts', [[{}, errorCount]]);
+    metric('qoncommand_osc_timeouts_total', 'counter', 'OSC requests QLab never answered', [[{}, latencyStats.all.timeouts]]);
+    histogram('qoncommand_command_latency_seconds', 'Command latency by command type', 'command', latencyStats.command);
+    histogram('qoncommand_workspace_command_latency_seconds', 'Command latency by workspace', 'workspace', latencyStats.workspace);
+    
+    metric('qoncommand_socketio_clients', 'gauge', 'Connected Socket.IO clients', [[{}, io.engine.clientsCount]]);
+    metric('qoncommand_workspace_pool_size', 'gauge', 'Shared QLab workspace connections', [[{}, workspacePool.size]]);
+    // The same workspace can be open on more than one QLab machine - label by both
+    const pool = Array.from(workspacePool.values()).map(poolEntry => ({
+        poolEntry,
+        labels: { workspace: poolEntry.client.workspaceId, instance: `${poolEntry.client.client.host}:${poolEntry.client.client.port}` }
+    }));
+    metric('qoncommand_workspace_pool_refs', 'gauge', 'Clients using each shared workspace connection',
+        pool.map(({ poolEntry, labels }) => [labels, poolEntry.refCount]));
     
-    const wrapper = getWorkspaceClient(clientData.workspaceId);
+    const caches = Array.from(cacheStats.entries());
+    metric('qoncommand_cache_hits_total', 'counter', 'Lookups answered from a cache', caches.map(([cache, stats]) => [{ cache }, stats.hits]));
+    metric('qoncommand_cache_misses_total', 'counter', 'Lookups that had to ask QLab', caches.map(([cache, stats]) => [{ cache }, stats.misses]));
+    metric('qoncommand_cache_hit_ratio', 'gauge', 'Share of lookups answered from a cache', caches.map(([cache, stats]) => {
+        const lookups = stats.hits + stats.misses;
+        return [{ cache }, lookups > 0 ? Math.round(stats.hits / lookups * 1000) / 1000 : 0];
+    }));
     
-    if (!wrapper) {
-        return res.json({ success: false, error: "Workspace connection lost" });
+    // One series per state so alerts can match on state="lost"
+    const states = ['connecting', 'connected', 'reconnecting', 'lost'];
+    const connectionSamples = [];
+    for (const { poolEntry, labels } of pool) {
+        states.forEach(state => connectionSamples.push([{ ...labels, state }, poolEntry.client.connectionState === state ? 1 : 0]));
     }
-    const startTime = Date.now();
+    metric('qoncommand_qlab_connection_state', 'gauge', 'QLab connection state for each workspace connection', connectionSamples);
     
-    try {
-        const success = await wrapper.skipToCue(cueId);
-        const latencyMs = Date.now() - startTime;
-        
-        // Update cue info for all clients after successful cue selection
-        if (success) {
-            setTimeout(() => {
-                updateAllClientsCueInfo();
-                // Update volume info when cue selection changes
-                setTimeout(() => {
-                    updateVolumeInfoForAllClients(clientData.workspaceId);
-                }, 200); // Extra delay for volume info
-            }, 100);
-        }
-        
-        res.json({
-            success,
-            latency_ms: latencyMs
-        });
-    } catch (error) {
-        const latencyMs = Date.now() - startTime;
-        logger.error(`Exception in skip endpoint: ${error.message}`);
-        res.json({
-            success: false,
-            latency_ms: latencyMs,
-            error: error.message
-        });
+    return `${lines.join('\n')}\n`;
+}
+
+// Prometheus scrape endpoint - plain text and real status codes, unlike the JSON API
+app.get('/metrics', (req, res) => {
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+    const allowed = METRICS_TOKEN
+        ? bearer !== null && pinMatches(bearer, METRICS_TOKEN)
+        : Boolean(resolveRole(getAuthToken(req) || bearer));
+    if (!allowed) {
+        logger.warn(`🚫 /metrics refused for ${req.ip}`);
+        return res.status(401).type('text/plain').send('Unauthorized\n');
     }
+    
+    res.type('text/plain; version=0.0.4').send(buildPrometheusMetrics());
 });
 
-app.get('/api/cues', async (req, res) => {
-    const clientId = getClientId(req);
-    let clientData = clientConnections.get(clientId);
-    
-    // If client data doesn't exist, try to restore from any active workspace connection
-    if (!clientData || !clientData.workspaceId) {
-        // Check if there's an active workspace we can connect this client to
-        for (const [workspaceId, connection] of workspacePool) {
-            if (connection.client && connection.refs > 0) {
-                logger.info(`Restoring client ${clientId} to active workspace ${workspaceId}`);
-                // Create client data and add to workspace
-                clientData = {
-                    workspaceId: workspaceId,
-                    selectedCue: { number: "", name: "" },
-                    nextCue: { number: "", name: "" }
-                };
-                clientConnections.set(clientId, clientData);
-                addClientToWorkspace(clientId, workspaceId);
-                break;
-            }
-        }
-        
-        // If still no client data, return empty
-        if (!clientData || !clientData.workspaceId) {
-            return res.json({ cues: [] });
-        }
+// Audit log - every command with who sent it, kept in eventHistory and appended to disk
+let auditWriteQueue = Promise.resolve();
+
+function cleanDeviceName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, 40) : '';
+}
+
+// A short "iPad Safari" style label for devices that haven't been given a name
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    const platform = [['iPad', 'iPad'], ['iPhone', 'iPhone'], ['Android', 'Android'], ['Windows', 'Windows'],
+        ['Macintosh', 'Mac'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']].find(([token]) => ua.includes(token));
+    const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+        .find(([token]) => ua.includes(token));
+    if (!platform && !browser) {
+        return ua ? ua.slice(0, 40) : 'Unknown device';
     }
-    
-    const client = getWorkspaceClient(clientData.workspaceId);
-    if (!client) {
-        return res.json({ cues: [] });
+    return [platform && platform[1], browser && browser[1]].filter(Boolean).join(' ');
+}
+
+function getDeviceName(clientId) {
+    const socket = clientId ? io.sockets.sockets.get(clientId) : null;
+    return socket ? socket.data.deviceName : null;
+}
+
+// Count a command towards the performance metrics and write it to the audit log
+function recordCommand({ clientId, workspaceId, command, cueId = null, latencyMs = null, success, error = null }) {
+    commandsSent++;
+    if (latencyMs !== null) {
+        totalLatencyMs += latencyMs;
+    }
+    if (!success) {
+        errorCount++;
     }
     
-    try {
-        const cues = await client.getAllCues();
-        res.json({ cues });
-    } catch (error) {
-        logger.error(`Error getting cues for client ${clientId}: ${error.message}`);
-        res.json({ cues: [] });
+    latencyStats.all.record(latencyMs, success);
+    latencyStatsFor('command', command).record(latencyMs, success);
+    if (workspaceId) {
+        latencyStatsFor('workspace', workspaceId).record(latencyMs, success);
     }
-});
+    if (clientId) {
+        const clientStats = latencyStatsFor('client', clientId);
+        clientStats.record(latencyMs, success);
+        clientStats.label = getDeviceName(clientId) || clientStats.label;
+    }
+    schedulePerformanceBroadcast();
+    
+    return auditCommand({ clientId, workspaceId, command, cueId, latencyMs, result: success ? 'ok' : 'failed', error });
+}
 
-// Volume Control Endpoints
-app.get('/api/audio_levels', async (req, res) => {
-    const clientId = getClientId(req);
-    const clientData = clientConnections.get(clientId);
+// Write an audit entry without counting it - for commands that never reached QLab (e.g. a locked-out GO)
+function auditCommand({ clientId, workspaceId, command, cueId = null, latencyMs = null, result, error = null }) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        client_id: clientId || null,
+        device_name: getDeviceName(clientId),
+        workspace_id: workspaceId || null,
+        command,
+        cue_id: cueId || null,
+        latency_ms: latencyMs,
+        result,
+        error: error || null
+    };
     
-    if (!clientData || !clientData.workspaceId) {
-        return res.json({ 
-            success: false, 
-            error: "Not connected to any QLab instance",
-            levels: { master: 0, channel1: 0, channel2: 0, available: false }
-        });
+    eventHistory.push(entry);
+    if (eventHistory.length > maxEventHistory) {
+        eventHistory.shift();
     }
     
-    const client = getWorkspaceClient(clientData.workspaceId);
-    if (!client) {
-        return res.json({ 
-            success: false, 
-            error: "Workspace connection lost",
-            levels: { master: 0, channel1: 0, channel2: 0, available: false }
-        });
+    const line = `${JSON.stringify(entry)}\n`;
+    auditWriteQueue = auditWriteQueue
+        .then(() => appendAuditLine(line))
+        .catch(writeError => logger.warn(`Could not write the audit log: ${writeError.message}`));
+    return entry;
+}
+
+function auditFilePath(index) {
+    return path.join(AUDIT_DIR, index === 0 ? 'audit.jsonl' : `audit.${index}.jsonl`);
+}
+
+async function appendAuditLine(line) {
+    await fs.promises.mkdir(AUDIT_DIR, { recursive: true });
+    const current = auditFilePath(0);
+    const size = await fs.promises.stat(current).then(stats => stats.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(line) > AUDIT_MAX_FILE_BYTES) {
+        await rotateAuditFiles();
     }
-    
-    try {
-        const levels = await client.getAudioLevels();
-        res.json({
-            success: true,
-            levels: levels
-        });
-    } catch (error) {
-        logger.error(`Error getting audio levels: ${error.message}`);
-        res.json({
-            success: false,
-            error: error.message,
-            levels: { master: 0, channel1: 0, channel2: 0, available: false }
+    await fs.promises.appendFile(current, line);
+}
+
+// audit.jsonl -> audit.1.jsonl -> ... -> audit.<AUDIT_MAX_FILES - 1>.jsonl, dropping the oldest
+async function rotateAuditFiles() {
+    await fs.promises.rm(auditFilePath(AUDIT_MAX_FILES - 1), { force: true });
+    for (let index = AUDIT_MAX_FILES - 2; index >= 0; index--) {
+        await fs.promises.rename(auditFilePath(index), auditFilePath(index + 1)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
         });
     }
-});
+    logger.info(`🗂️ Rotated the audit log (keeping ${AUDIT_MAX_FILES} files)`);
+}
 
-app.post('/api/audio_level', async (req, res) => {
-    const clientId = getClientId(req);
-    const clientData = clientConnections.get(clientId);
+// Entries between two times (ms), oldest first
+async function readAuditEntries(from, to) {
+    // Let queued writes land first so the command that was just sent is included
+    await auditWriteQueue;
     
-    if (!clientData || !clientData.workspaceId) {
-        return res.json({ success: false, error: "Not connected to any QLab instance" });
+    const entries = [];
+    for (let index = AUDIT_MAX_FILES - 1; index >= 0; index--) {
+        let stats;
+        try {
+            stats = await fs.promises.stat(auditFilePath(index));
+        } catch (error) {
+            continue;
+        }
+        // A file last written before the range starts has nothing in it
+        if (stats.mtimeMs < from) {
+            continue;
+        }
+        
+        const text = await fs.promises.readFile(auditFilePath(index), 'utf8');
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue; // A line cut short by a crash
+            }
+            const time = Date.parse(entry.timestamp);
+            if (time >= from && time <= to) {
+                entries.push(entry);
+            }
+        }
     }
-    
-    const { channel, level } = req.body;
-    if (!channel || level === undefined) {
-        return res.json({ success: false, error: "Missing channel or level parameter" });
+    return entries;
+}
+
+// ISO date or milliseconds since 1970 - null when it can't be read
+function parseAuditTime(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+function auditEntriesToCsv(entries) {
+    const escape = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Device names come from the clients - don't let a spreadsheet run them as formulas
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Audit log: ?from=&to= (ISO date or ms), format=json|csv - CSV always downloads, JSON with download=true
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    const from = parseAuditTime(req.query.from, 0);
+    const to = parseAuditTime(req.query.to, Date.now());
+    if (from === null || to === null) {
+        return res.json({ success: false, error: "from and to must be ISO dates or milliseconds since 1970" });
     }
-    
-    const client = getWorkspaceClient(clientData.workspaceId);
-    if (!client) {
-        return res.json({ success: false, error: "Workspace connection lost" });
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        return res.json({ success: false, error: "format must be json or csv" });
     }
     
     try {
-        const success = await client.setAudioLevel(channel, level);
+        const entries = await readAuditEntries(from, to);
+        const filename = `qoncommand-audit-${new Date().toISOString().slice(0, 10)}`;
         
-        if (success) {
-            // Broadcast volume change to all connected clients for this workspace
-            setTimeout(() => {
-                updateVolumeInfoForAllClients(clientData.workspaceId);
-            }, 100); // Small delay to allow QLab to process the change
+        if (format === 'csv') {
+            res.attachment(`${filename}.csv`);
+            return res.send(auditEntriesToCsv(entries));
+        }
+        if (parseBooleanFilter(req.query.download)) {
+            res.attachment(`${filename}.json`);
         }
-        
         res.json({
-            success,
-            message: success ? `${channel} level set to ${level}%` : 'Failed to set audio level'
+            success: true,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            count: entries.length,
+            entries
         });
     } catch (error) {
-        logger.error(`Error setting audio level: ${error.message}`);
-        res.json({
-            success: false,
-            error: error.message
-        });
+        logger.error(`Error reading the audit log: ${error.message}`);
+        res.json({ success: false, error: `Failed to read the audit log: ${error.message}` });
     }
 });
 
 // Clear performance metrics endpoint
-app.post('/api/clear_performance', (req, res) => {
+app.post('/api/clear_performance', requireRole('admin'), (req, res) => {
     commandsSent = 0;
     errorCount = 0;
     totalLatencyMs = 0.0;
+    resetLatencyStats();
     globalBackoffUntil = 0;
     logger.info("Performance metrics manually cleared");
     
     // Immediately broadcast cleared metrics to all connected clients
-    io.emit('performance', {
-        average_latency: 0.0,
-        commands_sent: 0,
-        error_rate: 0.0
-    });
+    const performance = getPerformanceSnapshot();
+    io.emit('performance', performance);
     
     res.json({ 
         success: true, 
         message: "Performance metrics cleared",
-        performance: {
-            average_latency: 0.0,
-            commands_sent: 0,
-            error_rate: 0.0
-        }
+        performance
     });
 });
 
@@ -2314,7 +5817,7 @@ async function updateCueInfoForClient(socketId) {
     const clientData = clientConnections.get(socketId);
     if (!clientData || !clientData.workspaceId) return;
     
-    const client = getWorkspaceClient(clientData.workspaceId);
+    const client = getWorkspaceClient(clientData.workspaceKey);
     if (!client) return;
     
     try {
@@ -2370,21 +5873,185 @@ async function updateAllClientsCueInfo() {
         }
         
         // Send performance stats to all clients (shared metrics)
-        const avg = commandsSent > 0 ? (totalLatencyMs / commandsSent) : 0.0;
-        const errRate = commandsSent > 0 ? (errorCount / commandsSent * 100.0) : 0.0;
-        io.emit('performance', {
-            average_latency: Math.round(avg * 10) / 10,
-            commands_sent: commandsSent,
-            error_rate: Math.round(errRate * 10) / 10
-        });
+        io.emit('performance', getPerformanceSnapshot());
         
         updateTimeout = null;
     }, UPDATE_DEBOUNCE_MS);
 }
 
+// Send an event only to the clients connected to one workspace
+function emitToWorkspaceClients(workspaceKey, event, payload) {
+    for (const [socketId, clientData] of clientConnections.entries()) {
+        if (clientData.workspaceKey === workspaceKey) {
+            io.to(socketId).emit(event, payload);
+        }
+    }
+}
+
+// Tell every client on a workspace whether its QLab connection is up, reconnecting or lost
+function broadcastConnectionState(workspaceKey, connectionState) {
+    emitToWorkspaceClients(workspaceKey, 'connectionState', connectionState);
+    logger.debug(`Connection state for workspace ${workspaceKey}: ${connectionState.state}`);
+}
+
+// QLab push messages we handle individually, instead of refreshing every client
+const CUE_UPDATE_PATTERN = /^\/update\/workspace\/([^/]+)\/cue_id\/([^/]+)$/;
+const PLAYBACK_POSITION_UPDATE_PATTERN = /^\/update\/workspace\/([^/]+)\/cueList\/([^/]+)\/playbackPosition$/;
+
+// Debounce per cue and per workspace - QLab sends bursts of updates while cues run
+const pendingCueUpdates = new Map(); // "workspaceKey/cueId" -> timeout
+const pendingWorkspaceCueInfo = new Map(); // workspaceKey -> timeout
+
+function handleCueUpdate(workspaceKey, cueId) {
+    if (!workspaceKey) return; // Not a workspace we have open
+    
+    const key = `${workspaceKey}/${cueId}`;
+    if (pendingCueUpdates.has(key)) {
+        clearTimeout(pendingCueUpdates.get(key));
+    }
+    
+    pendingCueUpdates.set(key, setTimeout(() => {
+        pendingCueUpdates.delete(key);
+        refreshCachedCue(workspaceKey, cueId).catch(error => {
+            logger.warn(`Cue update failed for ${cueId} in workspace ${workspaceKey}: ${error.message}`);
+        });
+    }, UPDATE_DEBOUNCE_MS));
+}
+
+// Refetch one cue, patch it into the cached cue list and tell the workspace's clients
+async function refreshCachedCue(workspaceKey, cueId) {
+    const wrapper = getWorkspaceClient(workspaceKey);
+    if (!wrapper) return null;
+    
+    let cue = null;
+    try {
+        cue = await wrapper.client.getCueById(cueId);
+    } catch (error) {
+        logger.debug(`Could not fetch updated cue ${cueId}: ${error.message}`);
+    }
+    
+    if (!cue) {
+        // The cue is gone (deleted or moved out of reach) - rebuild the list
+        logger.info(`Cue ${cueId} no longer available - refreshing cue list for workspace ${workspaceKey}`);
+        emitToWorkspaceClients(workspaceKey, 'cueUpdated', {
+            workspace_id: wrapper.workspaceId,
+            cue_id: cueId,
+            cue: null,
+            removed: true,
+            timestamp: Date.now()
+        });
+        await refreshWorkspaceCueList(wrapper);
+        return null;
+    }
+    
+    let structureChanged = !wrapper.patchCachedCue(cue) && wrapper.getCachedCueList().length > 0;
+    
+    // Cue lists and groups also report changes to their children - compare the child IDs
+    if (!structureChanged && cue.type !== 'unknown' &&
+        (wrapper.client.dialect.cueListTypes.includes(cue.type) || cue.type === 'Group')) {
+        const cachedChildIds = wrapper.getCachedChildIds(cue.id);
+        if (cachedChildIds) {
+            const childIds = await wrapper.client.getChildIds(cue.id);
+            structureChanged = childIds.join('\n') !== cachedChildIds.join('\n');
+        }
+    }
+    
+    // Keep the selected/next cue info in step without another fetch
+    for (const clientData of clientConnections.values()) {
+        if (clientData.workspaceKey !== workspaceKey) continue;
+        for (const field of ['selectedCue', 'nextCue']) {
+            if (clientData[field] && clientData[field].id === cue.id) {
+                clientData[field] = { ...clientData[field], number: cue.number, name: cue.name, type: cue.type };
+            }
+        }
+    }
+    
+    emitToWorkspaceClients(workspaceKey, 'cueUpdated', {
+        workspace_id: wrapper.workspaceId,
+        cue_id: cue.id,
+        cue: cue,
+        timestamp: Date.now()
+    });
+    
+    // A cue started, stopped or paused - refresh the running cues panel
+    if (cue.isRunning || cue.isPaused || wrapper.runningCues.some(running => running.id === cue.id)) {
+        wrapper.watchRunningCues();
+    }
+    
+    if (structureChanged) {
+        logger.info(`Cue list structure changed in workspace ${workspaceKey} - refreshing cue list`);
+        await refreshWorkspaceCueList(wrapper);
+    }
+    
+    return cue;
+}
+
+// Drop the cached cue list, refetch it and push it to the workspace's clients
+async function refreshWorkspaceCueList(wrapper) {
+    wrapper.invalidateCueCache();
+    const cues = await wrapper.getAllCues();
+    emitToWorkspaceClients(wrapper.workspaceKey, 'cueList', { cues });
+}
+
+function handlePlaybackPositionUpdate(workspaceKey, cueListId, cueId) {
+    const wrapper = getWorkspaceClient(workspaceKey);
+    if (!wrapper) return;
+    
+    const cached = cueId ? wrapper.findCachedCue(cueId) : null;
+    emitToWorkspaceClients(workspaceKey, 'playbackPositionChanged', {
+        workspace_id: wrapper.workspaceId,
+        cue_list_id: cueListId,
+        cue_id: cueId || null,
+        cue: cached ? { id: cached.id, number: cached.number, name: cached.originalName, type: cached.type } : null,
+        timestamp: Date.now()
+    });
+    
+    // The selected cue moved - refresh cue info once for the whole workspace
+    wrapper.client.invalidateCache();
+    updateWorkspaceCueInfo(workspaceKey);
+}
+
+// Fetch current/next cue once and send it to every client on the workspace (debounced)
+function updateWorkspaceCueInfo(workspaceKey) {
+    if (pendingWorkspaceCueInfo.has(workspaceKey)) {
+        clearTimeout(pendingWorkspaceCueInfo.get(workspaceKey));
+    }
+    
+    pendingWorkspaceCueInfo.set(workspaceKey, setTimeout(async () => {
+        pendingWorkspaceCueInfo.delete(workspaceKey);
+        const wrapper = getWorkspaceClient(workspaceKey);
+        if (!wrapper) return;
+        
+        try {
+            const currentCue = await wrapper.client.getSelectedCue();
+            const nextCue = await wrapper.client.getNextCue();
+            
+            // Keep the wrapper's copy (used by /api/cue_info) in step
+            wrapper.currentSelectedCue = currentCue;
+            wrapper.nextCue = nextCue;
+            wrapper.lastCueUpdate = Date.now();
+            
+            for (const clientData of clientConnections.values()) {
+                if (clientData.workspaceKey === workspaceKey) {
+                    clientData.selectedCue = currentCue;
+                    clientData.nextCue = nextCue;
+                }
+            }
+            
+            emitToWorkspaceClients(workspaceKey, 'cueInfo', {
+                current: currentCue || null,
+                next: nextCue || null,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            logger.warn(`Cue info update error for workspace ${workspaceKey}: ${error.message}`);
+        }
+    }, UPDATE_DEBOUNCE_MS));
+}
+
 // Update volume levels for all clients connected to a specific workspace
-async function updateVolumeInfoForAllClients(workspaceId) {
-    const client = getWorkspaceClient(workspaceId);
+async function updateVolumeInfoForAllClients(workspaceKey) {
+    const client = getWorkspaceClient(workspaceKey);
     if (!client) return;
     
     try {
@@ -2392,7 +6059,7 @@ async function updateVolumeInfoForAllClients(workspaceId) {
         
         // Send volume update to all clients connected to this workspace
         for (const [socketId, clientData] of clientConnections.entries()) {
-            if (clientData.workspaceId === workspaceId) {
+            if (clientData.workspaceKey === workspaceKey) {
                 io.to(socketId).emit('volumeLevels', {
                     levels: levels,
                     timestamp: Date.now()
@@ -2400,10 +6067,10 @@ async function updateVolumeInfoForAllClients(workspaceId) {
             }
         }
         
-        logger.debug(`Volume levels updated for workspace ${workspaceId}: master=${levels.master}%, ch1=${levels.channel1}%, ch2=${levels.channel2}%`);
+        logger.debug(`Volume levels updated for workspace ${workspaceKey}: master=${levels.master}dB, ${levels.outputs} output(s), ${levels.inputs} input(s)`);
         
     } catch (error) {
-        logger.warn(`Error updating volume info for workspace ${workspaceId}: ${error.message}`);
+        logger.warn(`Error updating volume info for workspace ${workspaceKey}: ${error.message}`);
     }
 }
 
@@ -2414,26 +6081,60 @@ function startServer() {
         commandsSent = 0;
         errorCount = 0;
         totalLatencyMs = 0.0;
+        resetLatencyStats();
         logger.info("Performance metrics cleared on server start");
         
         logger.info("Starting QOnCommand - QLab Remote control application");
-        logger.info(`Web interface will be available at http://localhost:${WEB_PORT}`);
+        logger.info(`Web interface will be available at ${WEB_PROTOCOL}://localhost:${WEB_PORT}`);
         
         // Get the local IP address to show a more useful URL
         try {
             const localIp = getLocalIpAddress();
-            logger.info(`Local network access: http://${localIp}:${WEB_PORT}`);
+            logger.info(`Local network access: ${WEB_PROTOCOL}://${localIp}:${WEB_PORT}`);
         } catch (error) {
             logger.warn(`Could not determine local IP: ${error.message}`);
         }
         
+        if (AUTH_REQUIRED) {
+            const pinned = ROLES.filter(role => ROLE_PINS[role]);
+            logger.info(`🔑 PIN login enabled for: ${pinned.join(', ')}${ROLE_PINS.viewer ? '' : ' (viewing needs no PIN)'}`);
+            if (new Set(pinned.map(role => ROLE_PINS[role])).size < pinned.length) {
+                logger.warn('⚠️ Several roles share a PIN - that PIN logs in as the highest of them');
+            }
+            socketSessionTimer = setInterval(disconnectExpiredSockets, SOCKET_SESSION_CHECK_MS);
+        } else {
+            logger.warn('⚠️ No role PINs set - anyone who can reach this server has full control. Set VIEWER_PIN, OPERATOR_PIN and ADMIN_PIN to require a login');
+        }
+        
+        if (HTTPS_ENABLED) {
+            try {
+                server.setSecureContext(loadTlsCredentials());
+            } catch (error) {
+                throw new Error(`Could not load the HTTPS certificate: ${error.message}`);
+            }
+        }
+        
         // Start the HTTP server first (non-blocking)
         server.listen(WEB_PORT, '0.0.0.0', () => {
             logger.info(`✅ Server listening on port ${WEB_PORT}`);
-            logger.info(`🌐 Open your browser and navigate to http://localhost:${WEB_PORT}`);
+            logger.info(`🌐 Open your browser and navigate to ${WEB_PROTOCOL}://localhost:${WEB_PORT}`);
             
-            // Start QLab discovery in background after server is running
-            setTimeout(() => {
+            // Start QLab discovery in background after server is running (and the simulator, if enabled)
+            setTimeout(async () => {
+                if (QLAB_SIMULATOR) {
+                    try {
+                        const simulator = new QLabSimulator({
+                            port: QLAB_SIMULATOR_PORT,
+                            cuesFile: QLAB_SIMULATOR_CUES,
+                            logger
+                        });
+                        await simulator.start();
+                        qlabSimulator = simulator;
+                    } catch (error) {
+                        logger.error(`❌ QLab simulator could not start: ${error.message}`);
+                    }
+                }
+
                 try {
                     logger.info("🔍 Starting QLab instance discovery...");
                     discoverQLabInstances().catch(error => {
@@ -2446,15 +6147,21 @@ function startServer() {
             
             // Broadcast cleared performance metrics to all clients after server is ready
             setTimeout(() => {
-                io.emit('performance', {
-                    average_latency: 0.0,
-                    commands_sent: 0,
-                    error_rate: 0.0
-                });
+                io.emit('performance', getPerformanceSnapshot());
                 logger.info("📊 Broadcasted cleared performance metrics to clients");
             }, 1000);
         });
 
+        if (redirectServer) {
+            redirectServer.listen(HTTP_REDIRECT_PORT, '0.0.0.0', () => {
+                logger.info(`↪️ Redirecting http://localhost:${HTTP_REDIRECT_PORT} to HTTPS`);
+            });
+            redirectServer.on('error', (error) => {
+                // The HTTPS interface still works without the redirect
+                logger.warn(`⚠️ HTTP redirect on port ${HTTP_REDIRECT_PORT} unavailable: ${error.message}`);
+            });
+        }
+
         // Handle server errors
         server.on('error', (error) => {
             if (error.code === 'EADDRINUSE') {
@@ -2494,6 +6201,13 @@ function gracefulShutdown() {
             logger.info('HTTP server closed');
         });
     }
+    if (redirectServer) {
+        redirectServer.close();
+    }
+    if (socketSessionTimer) {
+        clearInterval(socketSessionTimer);
+        socketSessionTimer = null;
+    }
     
     // Close socket.io connections
     if (io) {
@@ -2504,16 +6218,27 @@ function gracefulShutdown() {
     
     // Cleanup all workspace connections
     try {
-        for (const [workspaceId, poolEntry] of workspacePool.entries()) {
+        for (const [workspaceKey, poolEntry] of workspacePool.entries()) {
             try {
                 poolEntry.client.cleanup();
-                logger.info(`Cleaned up workspace connection: ${workspaceId}`);
+                logger.info(`Cleaned up workspace connection: ${workspaceKey}`);
             } catch (error) {
-                logger.error(`Error cleaning up workspace ${workspaceId}: ${error.message}`);
+                logger.error(`Error cleaning up workspace ${workspaceKey}: ${error.message}`);
             }
         }
         workspacePool.clear();
         clientConnections.clear();
+        
+        // Close any OSC sockets still held by temporary clients
+        for (const connection of Array.from(oscConnections.values())) {
+            connection.close();
+        }
+        
+        if (qlabSimulator) {
+            qlabSimulator.stop();
+            qlabSimulator = null;
+            logger.info('QLab simulator stopped');
+        }
         logger.info('All workspace connections cleaned up');
     } catch (error) {
         logger.error(`Error during workspace cleanup: ${error.message}`);
@@ -2542,6 +6267,7 @@ if (require.main === module) {
 module.exports = { 
     app, 
     server,
+    redirectServer,
     startServer: startServer,
     logger: logger 
 };